@@ -0,0 +1,61 @@
+// Eye-aspect-ratio (EAR) maths for awake/asleep detection from FaceMesh landmarks.
+// Loaded by the page before script.js; also requireable from Node for tests.
+
+function euclideanDistance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.hypot(dx, dy);
+}
+
+function computeEAR(landmarks, eye) {
+  // eye is array of 6 indices: [p1, p2, p3, p4, p5, p6]
+  const p1 = landmarks[eye[0]];
+  const p2 = landmarks[eye[1]];
+  const p3 = landmarks[eye[2]];
+  const p4 = landmarks[eye[3]];
+  const p5 = landmarks[eye[4]];
+  const p6 = landmarks[eye[5]];
+  const vertical1 = euclideanDistance(p2, p6);
+  const vertical2 = euclideanDistance(p3, p5);
+  const horizontal = euclideanDistance(p1, p4);
+  if (horizontal === 0) return 0;
+  return (vertical1 + vertical2) / (2 * horizontal);
+}
+
+// Distance-normalized EAR calculation
+function computeNormalizedEAR(landmarks, leftEye, rightEye) {
+  // Calculate individual eye EARs
+  const leftEAR = computeEAR(landmarks, leftEye);
+  const rightEAR = computeEAR(landmarks, rightEye);
+  const avgEAR = (leftEAR + rightEAR) / 2;
+  
+  // Calculate face size for normalization using key facial landmarks
+  const noseTip = landmarks[1];          // Nose tip
+  const chin = landmarks[175];           // Chin center
+  const leftFace = landmarks[234];       // Left face boundary
+  const rightFace = landmarks[454];      // Right face boundary
+  
+  // Face dimensions for size estimation
+  const faceHeight = euclideanDistance(noseTip, chin);
+  const faceWidth = euclideanDistance(leftFace, rightFace);
+  const faceSize = Math.sqrt(faceHeight * faceWidth); // Geometric mean of dimensions
+  
+  // Normalize EAR by face size - larger faces get higher threshold tolerance
+  const sizeNormalizationFactor = Math.max(0.5, Math.min(2.0, faceSize / 0.15));
+  const normalizedEAR = avgEAR / sizeNormalizationFactor;
+  
+  return {
+    rawEAR: avgEAR,
+    normalizedEAR: normalizedEAR,
+    faceSize: faceSize,
+    normalizationFactor: sizeNormalizationFactor
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    euclideanDistance,
+    computeEAR,
+    computeNormalizedEAR
+  };
+}
@@ -0,0 +1,283 @@
+// Network adaptation engine: smooths each link's metrics and picks a quality tier
+// with hysteresis. Loaded by the page before script.js and required by server.js,
+// which serves the policy (with any operator overrides) from /api/adaptation-policy.
+
+const ADAPTATION_TIERS = ['AUDIO_ONLY', 'LOW', 'MEDIUM', 'HIGH'];
+
+const DEFAULT_ADAPTATION_POLICY = {
+  smoothing: 0.3, // EWMA weight of the newest sample
+  trendWindow: 5, // Smoothed samples used to estimate the trend
+  warmupMs: 10000, // Leave new links alone while their estimates settle
+  // A tier is entered only below its `enter` limits and left above its `exit` limits;
+  // the gap between the two keeps a link that sits on a threshold from flapping
+  tiers: {
+    HIGH: { enter: { loss: 1.5, rtt: 150 }, exit: { loss: 3, rtt: 250 } },
+    MEDIUM: { enter: { loss: 4, rtt: 300 }, exit: { loss: 8, rtt: 450 } },
+    LOW: { enter: { loss: 10, rtt: 600 }, exit: { loss: 15, rtt: 800 } }
+  },
+  upgrade: {
+    samples: 3, // Consecutive samples that must agree
+    minDwellMs: 10000, // Time on the current tier before stepping up
+    maxLossTrend: 0.5, // No upgrade while loss rises faster than this (% per sample)
+    maxRttTrend: 10 // ...or RTT rises faster than this (ms per sample)
+  },
+  downgrade: {
+    samples: 2,
+    minDwellMs: 3000,
+    trendHorizon: 2 // Samples ahead a worsening trend is projected when checking exit limits
+  },
+  // Upgrades must first prove the bandwidth is there: the client briefly sends at the
+  // target tier's rate and checks the transport's bandwidth estimate
+  probe: {
+    enabled: true,
+    durationMs: 5000,
+    backoffMs: 30000, // Wait after a failed probe before trying that link again
+    bitrates: { LOW: 250000, MEDIUM: 650000, HIGH: 1250000 } // Video plus audio, bits per second
+  },
+  logSize: 200 // Decisions and probes kept in each log
+};
+
+// Policies from the server only need to list the values they change
+function mergeAdaptationPolicy(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? mergeAdaptationPolicy(base[key], value)
+      : value;
+  });
+  return merged;
+}
+
+// Per-sample slope between the oldest and newest smoothed values
+function computeTrend(history) {
+  if (history.length < 2) return { loss: 0, rtt: 0 };
+
+  const first = history[0];
+  const last = history[history.length - 1];
+  const steps = history.length - 1;
+  return {
+    loss: (last.loss - first.loss) / steps,
+    rtt: (last.rtt - first.rtt) / steps
+  };
+}
+
+// First limit the metrics break, as a readable reason, or null when within limits
+function findExceededLimit(metrics, limits) {
+  if (metrics.loss > limits.loss) return `loss ${metrics.loss.toFixed(1)}% > ${limits.loss}%`;
+  if (metrics.rtt > limits.rtt) return `rtt ${Math.round(metrics.rtt)}ms > ${limits.rtt}ms`;
+  return null;
+}
+
+class AdaptationEngine {
+  constructor(policy) {
+    this.links = new Map(); // linkId -> { quality, changedAt, startedAt, smoothed, history, candidate, candidateSamples, probe, probeBlockedUntil }
+    this.log = [];
+    this.probes = [];
+    this.setPolicy(policy);
+  }
+
+  setPolicy(policy) {
+    this.policy = mergeAdaptationPolicy(DEFAULT_ADAPTATION_POLICY, policy);
+  }
+
+  getLink(linkId, now = Date.now()) {
+    if (!this.links.has(linkId)) {
+      this.links.set(linkId, {
+        quality: 'HIGH',
+        changedAt: now,
+        startedAt: now,
+        smoothed: null,
+        history: [],
+        candidate: null,
+        candidateSamples: 0,
+        probe: null, // Upgrade waiting on a bandwidth probe
+        probeBlockedUntil: 0
+      });
+    }
+    return this.links.get(linkId);
+  }
+
+  getQuality(linkId) {
+    const link = this.links.get(linkId);
+    return link ? link.quality : 'HIGH';
+  }
+
+  reset(linkId) {
+    this.links.delete(linkId);
+  }
+
+  clear() {
+    this.links.clear();
+    this.log = [];
+    this.probes = [];
+  }
+
+  isProbing(linkId) {
+    const link = this.links.get(linkId);
+    return Boolean(link && link.probe);
+  }
+
+  // Feed one sample ({ loss, rtt }). Returns the logged decision when the tier changes,
+  // or a { type: 'probe' } request when an upgrade first needs a bandwidth probe.
+  update(linkId, sample, now = Date.now()) {
+    const link = this.getLink(linkId, now);
+    const alpha = this.policy.smoothing;
+
+    link.smoothed = link.smoothed
+      ? {
+        loss: alpha * sample.loss + (1 - alpha) * link.smoothed.loss,
+        rtt: alpha * sample.rtt + (1 - alpha) * link.smoothed.rtt
+      }
+      : { loss: sample.loss, rtt: sample.rtt };
+    link.history.push(link.smoothed);
+    if (link.history.length > this.policy.trendWindow) {
+      link.history.shift();
+    }
+
+    // Decisions wait for a running probe, unless its result never came back
+    if (link.probe && now - link.probe.time > this.policy.probe.durationMs * 2) {
+      link.probe = null;
+    }
+    if (now - link.startedAt < this.policy.warmupMs || link.probe) return null;
+
+    const trend = computeTrend(link.history);
+    const { quality, reason } = this.decide(link.quality, link.smoothed, trend);
+    if (!this.isSettled(link, quality, now)) return null;
+
+    const metrics = { sample, smoothed: link.smoothed, trend };
+    const isUpgrade = ADAPTATION_TIERS.indexOf(quality) > ADAPTATION_TIERS.indexOf(link.quality);
+    if (isUpgrade && this.policy.probe.enabled) {
+      return this.requestProbe(linkId, link, quality, reason, metrics, now);
+    }
+    return this.setQuality(linkId, quality, reason, now, metrics);
+  }
+
+  requestProbe(linkId, link, quality, reason, metrics, now) {
+    link.candidate = null;
+    link.candidateSamples = 0;
+    if (now < link.probeBlockedUntil) return null;
+
+    link.probe = { time: now, linkId, from: link.quality, to: quality, reason, metrics };
+    return {
+      type: 'probe',
+      ...link.probe,
+      bitrate: this.policy.probe.bitrates[quality],
+      durationMs: this.policy.probe.durationMs
+    };
+  }
+
+  // Client reports how the probe went ({ success, measured, ... }); a success commits the upgrade
+  finishProbe(linkId, result, now = Date.now()) {
+    const link = this.links.get(linkId);
+    if (!link || !link.probe) return null;
+
+    const { from, to, reason, metrics } = link.probe;
+    link.probe = null;
+
+    this.probes.push({ time: now, linkId, from, to, required: this.policy.probe.bitrates[to], ...result });
+    if (this.probes.length > this.policy.logSize) {
+      this.probes.shift();
+    }
+
+    if (!result.success) {
+      link.probeBlockedUntil = now + this.policy.probe.backoffMs;
+      return null;
+    }
+    const probed = result.measured ? `probe ${Math.round(result.measured / 1000)}kbps` : `probe ${result.method}`;
+    return this.setQuality(linkId, to, `${reason}; ${probed}`, now, metrics);
+  }
+
+  decide(currentQuality, smoothed, trend) {
+    const { tiers, upgrade, downgrade } = this.policy;
+    const currentIndex = ADAPTATION_TIERS.indexOf(currentQuality);
+
+    // Check exit limits against where a worsening link is heading, not just where it is
+    const projected = {
+      loss: smoothed.loss + Math.max(0, trend.loss) * downgrade.trendHorizon,
+      rtt: smoothed.rtt + Math.max(0, trend.rtt) * downgrade.trendHorizon
+    };
+
+    let targetIndex = currentIndex;
+    let reason = null;
+    while (targetIndex > 0) {
+      const exceeded = findExceededLimit(projected, tiers[ADAPTATION_TIERS[targetIndex]].exit);
+      if (!exceeded) break;
+      reason = reason || exceeded;
+      targetIndex--;
+    }
+    if (targetIndex < currentIndex) {
+      return { quality: ADAPTATION_TIERS[targetIndex], reason };
+    }
+
+    // Upgrades go one tier at a time, and only while the link isn't getting worse
+    const nextQuality = ADAPTATION_TIERS[currentIndex + 1];
+    if (!nextQuality || findExceededLimit(smoothed, tiers[nextQuality].enter)) {
+      return { quality: currentQuality, reason: null };
+    }
+    if (trend.loss > upgrade.maxLossTrend || trend.rtt > upgrade.maxRttTrend) {
+      return { quality: currentQuality, reason: null };
+    }
+    return {
+      quality: nextQuality,
+      reason: `loss ${smoothed.loss.toFixed(1)}% and rtt ${Math.round(smoothed.rtt)}ms within ${nextQuality} limits`
+    };
+  }
+
+  // Hysteresis over time: enough agreeing samples and enough time on the current tier
+  isSettled(link, targetQuality, now) {
+    if (targetQuality === link.quality) {
+      link.candidate = null;
+      link.candidateSamples = 0;
+      return false;
+    }
+
+    if (link.candidate === targetQuality) {
+      link.candidateSamples++;
+    } else {
+      link.candidate = targetQuality;
+      link.candidateSamples = 1;
+    }
+
+    const isUpgrade = ADAPTATION_TIERS.indexOf(targetQuality) > ADAPTATION_TIERS.indexOf(link.quality);
+    const rules = isUpgrade ? this.policy.upgrade : this.policy.downgrade;
+    return link.candidateSamples >= rules.samples && now - link.changedAt >= rules.minDwellMs;
+  }
+
+  // Record a tier change, whether decided here or forced by the caller
+  setQuality(linkId, quality, reason, now = Date.now(), metrics = null) {
+    const link = this.getLink(linkId, now);
+    link.probe = null;
+    link.candidate = null;
+    link.candidateSamples = 0;
+    if (link.quality === quality) return null;
+
+    const decision = { time: now, linkId, from: link.quality, to: quality, reason, metrics };
+    link.quality = quality;
+    link.changedAt = now;
+
+    this.log.push(decision);
+    if (this.log.length > this.policy.logSize) {
+      this.log.shift();
+    }
+    return decision;
+  }
+
+  getLog(linkId = null) {
+    return linkId ? this.log.filter(decision => decision.linkId === linkId) : this.log.slice();
+  }
+
+  getProbes(linkId = null) {
+    return linkId ? this.probes.filter(probe => probe.linkId === linkId) : this.probes.slice();
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ADAPTATION_TIERS,
+    DEFAULT_ADAPTATION_POLICY,
+    AdaptationEngine,
+    mergeAdaptationPolicy,
+    computeTrend
+  };
+}
@@ -0,0 +1,143 @@
+// Synthetic network conditions for exercising adaptation without a bad network.
+// Each scenario describes a link over time; the simulator turns it into getStats()-shaped
+// reports, so analyzeStats, the adaptation engine and probes run exactly as they do live.
+
+const SIMULATED_AUDIO_BITRATE = 40000;
+const SIMULATED_MAX_VIDEO_BITRATE = 1200000;
+const SIMULATED_PACKET_SIZE = 1000; // Bytes per synthetic RTP packet
+
+const GOOD_LINK = { rtt: 60, loss: 0, bitrate: 2500000 }; // bitrate = available bandwidth, bits per second
+
+const NETWORK_SCENARIOS = {
+  'loss-burst': {
+    description: '20 s of 20% packet loss on an otherwise clean link',
+    durationMs: 120000,
+    at: (elapsed) => (elapsed >= 20000 && elapsed < 40000 ? { ...GOOD_LINK, loss: 20 } : GOOD_LINK)
+  },
+  'rtt-ramp': {
+    description: 'RTT climbs from 60 ms to 900 ms over two minutes, then recovers',
+    durationMs: 180000,
+    at: (elapsed) => (elapsed < 120000 ? { ...GOOD_LINK, rtt: 60 + (840 * elapsed) / 120000 } : GOOD_LINK)
+  },
+  'flapping': {
+    description: 'Link alternates between clean and lossy every 6 s',
+    durationMs: 120000,
+    at: (elapsed) => (Math.floor(elapsed / 6000) % 2 === 1 ? { rtt: 350, loss: 10, bitrate: 800000 } : GOOD_LINK)
+  },
+  'congested-uplink': {
+    description: 'Heavy loss for 30 s, then a clean link capped at 300 kbps, so probes past LOW fail',
+    durationMs: 150000,
+    at: (elapsed) => (elapsed < 30000 ? { rtt: 400, loss: 18, bitrate: 150000 } : { rtt: 90, loss: 0.5, bitrate: 300000 })
+  }
+};
+
+function createSimulatedCounters() {
+  return { bytes: 0, packets: 0, lost: 0 };
+}
+
+// Add `seconds` of traffic at `bitrate` with `loss` percent of the packets lost
+function advanceCounters(counters, bitrate, loss, seconds) {
+  const bytes = (bitrate / 8) * seconds;
+  const packets = bytes / SIMULATED_PACKET_SIZE;
+  counters.bytes += bytes;
+  counters.packets += packets;
+  counters.lost += (packets * loss) / 100;
+}
+
+class NetworkSimulator {
+  constructor(name, startedAt = Date.now()) {
+    this.scenario = NETWORK_SCENARIOS[name];
+    if (!this.scenario) {
+      throw new Error(`Unknown network scenario: ${name}`);
+    }
+    this.name = name;
+    this.startedAt = startedAt;
+    this.links = new Map(); // linkId -> cumulative counters, like a real connection's stats
+  }
+
+  getElapsed(now = Date.now()) {
+    return now - this.startedAt;
+  }
+
+  isFinished(now = Date.now()) {
+    return this.getElapsed(now) >= this.scenario.durationMs;
+  }
+
+  getConditions(now = Date.now()) {
+    return this.scenario.at(Math.min(this.getElapsed(now), this.scenario.durationMs));
+  }
+
+  // Stand-in for pc.getStats(): counters advance with the scenario's conditions since the last call
+  getStats(linkId, now = Date.now()) {
+    const conditions = this.getConditions(now);
+    if (!this.links.has(linkId)) {
+      this.links.set(linkId, {
+        timestamp: now,
+        outboundVideo: createSimulatedCounters(),
+        outboundAudio: createSimulatedCounters(),
+        inboundVideo: createSimulatedCounters(),
+        inboundAudio: createSimulatedCounters()
+      });
+    }
+    const link = this.links.get(linkId);
+
+    // Video gets whatever bandwidth audio leaves, in both directions
+    const seconds = (now - link.timestamp) / 1000;
+    const videoBitrate = Math.max(0, Math.min(SIMULATED_MAX_VIDEO_BITRATE, conditions.bitrate - SIMULATED_AUDIO_BITRATE));
+    const audioBitrate = Math.min(SIMULATED_AUDIO_BITRATE, conditions.bitrate);
+    advanceCounters(link.outboundVideo, videoBitrate, conditions.loss, seconds);
+    advanceCounters(link.outboundAudio, audioBitrate, conditions.loss, seconds);
+    advanceCounters(link.inboundVideo, videoBitrate, conditions.loss, seconds);
+    advanceCounters(link.inboundAudio, audioBitrate, conditions.loss, seconds);
+    link.timestamp = now;
+
+    const outbound = (kind, counters) => ({
+      id: `sim-outbound-${kind}`,
+      type: 'outbound-rtp',
+      kind,
+      mediaType: kind,
+      timestamp: now,
+      bytesSent: Math.round(counters.bytes),
+      packetsSent: Math.round(counters.packets),
+      packetsLost: Math.round(counters.lost)
+    });
+    const inbound = (kind, counters) => ({
+      id: `sim-inbound-${kind}`,
+      type: 'inbound-rtp',
+      kind,
+      mediaType: kind,
+      timestamp: now,
+      bytesReceived: Math.round(counters.bytes),
+      packetsReceived: Math.round(counters.packets - counters.lost),
+      packetsLost: Math.round(counters.lost),
+      jitter: conditions.rtt / 20000
+    });
+
+    const reports = [
+      outbound('video', link.outboundVideo),
+      outbound('audio', link.outboundAudio),
+      inbound('video', link.inboundVideo),
+      inbound('audio', link.inboundAudio),
+      {
+        id: 'sim-candidate-pair',
+        type: 'candidate-pair',
+        state: 'succeeded',
+        nominated: true,
+        selected: true,
+        timestamp: now,
+        bytesSent: Math.round(link.outboundVideo.bytes + link.outboundAudio.bytes),
+        currentRoundTripTime: conditions.rtt / 1000,
+        availableOutgoingBitrate: conditions.bitrate,
+        availableIncomingBitrate: conditions.bitrate
+      }
+    ];
+    return new Map(reports.map(report => [report.id, report]));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NETWORK_SCENARIOS,
+    NetworkSimulator
+  };
+}
@@ -0,0 +1,273 @@
+// WebRTC stats analysis: bitrate, packet loss and RTT per link from getStats() reports.
+// Loaded by the page before script.js; also requireable from Node for tests.
+
+// Turn one getStats() report into per-link metrics; previousStats is this link's
+// last result, which the bitrate and loss deltas are measured against
+function analyzeStats(stats, peerId, previousStats, now = Date.now()) {
+  let outboundVideo = null;
+  let outboundAudio = null;
+  let inboundVideo = null;
+  let inboundAudio = null;
+  let candidate = null;
+  let remoteInboundVideo = null;
+  let remoteInboundAudio = null;
+  // Summed over every incoming video stream (one per participant through the SFU)
+  const inboundVideoTotals = { packetsReceived: 0, packetsLost: 0, bytesReceived: 0 };
+  
+  stats.forEach(report => {
+    if (report.type === 'inbound-rtp' && report.mediaType === 'video') {
+      inboundVideoTotals.packetsReceived += report.packetsReceived || 0;
+      inboundVideoTotals.packetsLost += report.packetsLost || 0;
+      inboundVideoTotals.bytesReceived += report.bytesReceived || 0;
+    }
+
+    if (report.type === 'outbound-rtp' && report.mediaType === 'video') {
+      outboundVideo = report;
+    } else if (report.type === 'outbound-rtp' && report.mediaType === 'audio') {
+      outboundAudio = report;
+    } else if (report.type === 'inbound-rtp' && report.mediaType === 'video') {
+      inboundVideo = report;
+    } else if (report.type === 'inbound-rtp' && report.mediaType === 'audio') {
+      inboundAudio = report;
+    } else if (report.type === 'remote-inbound-rtp' && report.mediaType === 'video') {
+      remoteInboundVideo = report;
+    } else if (report.type === 'remote-inbound-rtp' && report.mediaType === 'audio') {
+      remoteInboundAudio = report;
+    } else if (report.type === 'candidate-pair' && report.selected) {
+      candidate = report;
+    }
+  });
+  
+  if (!outboundVideo && !outboundAudio && !inboundVideo && !inboundAudio) return null;
+  
+  let metrics = {
+    timestamp: now,
+    videoBitrate: 0,
+    audioBitrate: 0,
+    videoPacketLoss: 0,
+    audioPacketLoss: 0,
+    audioStats: {
+      outbound: {
+        enabled: false,
+        muted: false,
+        packetsSent: 0,
+        bytesSent: 0
+      },
+      inbound: {
+        enabled: false,
+        muted: false,
+        packetsReceived: 0,
+        bytesReceived: 0,
+        packetsLost: 0,
+        jitter: 0
+      }
+    },
+    rtt: 0,
+    jitter: 0,
+    inboundVideoPacketLoss: 0,
+    inboundVideoBitrate: 0,
+    quality: 'HIGH' // Tier the adaptation engine has this link on
+  };
+  
+  // Calculate video metrics
+  if (outboundVideo && previousStats && previousStats.outboundVideo) {
+    const timeDelta = (now - previousStats.timestamp) / 1000;
+    const bytesDelta = outboundVideo.bytesSent - previousStats.outboundVideo.bytesSent;
+    metrics.videoBitrate = (bytesDelta * 8) / timeDelta; // bits per second
+    
+    const packetsDelta = outboundVideo.packetsSent - previousStats.outboundVideo.packetsSent;
+    const packetsLostDelta = (outboundVideo.packetsLost || 0) - (previousStats.outboundVideo.packetsLost || 0);
+    
+    // Be more careful with packet loss calculation - avoid division by zero or negative values
+    if (packetsDelta > 0 && packetsLostDelta >= 0) {
+      metrics.videoPacketLoss = Math.min(100, (packetsLostDelta / packetsDelta) * 100);
+    } else {
+      metrics.videoPacketLoss = 0;
+    }
+  }
+  
+  // Calculate audio metrics
+  if (outboundAudio && previousStats && previousStats.outboundAudio) {
+    const timeDelta = (now - previousStats.timestamp) / 1000;
+    const bytesDelta = outboundAudio.bytesSent - previousStats.outboundAudio.bytesSent;
+    metrics.audioBitrate = (bytesDelta * 8) / timeDelta;
+    
+    const packetsDelta = outboundAudio.packetsSent - previousStats.outboundAudio.packetsSent;
+    
+    // Audio outbound stats for asymmetric debugging
+    metrics.audioStats.outbound = {
+      enabled: true,
+      muted: false,
+      packetsSent: outboundAudio.packetsSent,
+      bytesSent: outboundAudio.bytesSent,
+      bitrate: metrics.audioBitrate
+    };
+    
+    console.log(`🎤 Audio outbound to ${peerId}:`, {
+      bitrate: Math.round(metrics.audioBitrate),
+      packetsSent: outboundAudio.packetsSent,
+      bytesSent: outboundAudio.bytesSent
+    });
+    const packetsLostDelta = (outboundAudio.packetsLost || 0) - (previousStats.outboundAudio.packetsLost || 0);
+    
+    // Be more careful with packet loss calculation
+    if (packetsDelta > 0 && packetsLostDelta >= 0) {
+      metrics.audioPacketLoss = Math.min(100, (packetsLostDelta / packetsDelta) * 100);
+    } else {
+      metrics.audioPacketLoss = 0;
+    }
+  }
+  
+  // Calculate inbound audio metrics for asymmetric debugging
+  if (inboundAudio) {
+    metrics.audioStats.inbound = {
+      enabled: true,
+      muted: false,
+      packetsReceived: inboundAudio.packetsReceived || 0,
+      bytesReceived: inboundAudio.bytesReceived || 0,
+      packetsLost: inboundAudio.packetsLost || 0,
+      jitter: inboundAudio.jitter || 0
+    };
+    
+    console.log(`🔊 Audio inbound from ${peerId}:`, {
+      packetsReceived: inboundAudio.packetsReceived || 0,
+      bytesReceived: inboundAudio.bytesReceived || 0,
+      packetsLost: inboundAudio.packetsLost || 0,
+      jitter: inboundAudio.jitter || 0
+    });
+  }
+  
+  // Try to get RTT from multiple sources
+  if (candidate && candidate.currentRoundTripTime) {
+    metrics.rtt = candidate.currentRoundTripTime * 1000; // Convert to ms
+  } else if (remoteInboundVideo && remoteInboundVideo.roundTripTime) {
+    metrics.rtt = remoteInboundVideo.roundTripTime * 1000;
+  } else if (remoteInboundAudio && remoteInboundAudio.roundTripTime) {
+    metrics.rtt = remoteInboundAudio.roundTripTime * 1000;
+  }
+  
+  // Try to get packet loss from multiple sources - be more careful about calculations
+  let videoPacketLossFromRemote = 0;
+  let audioPacketLossFromRemote = 0;
+  let hasRemoteInboundStats = false;
+  
+  if (remoteInboundVideo) {
+    const packetsLost = remoteInboundVideo.packetsLost || 0;
+    // Try different field names for packets received
+    const packetsReceived = remoteInboundVideo.packetsReceived || 
+                          remoteInboundVideo.packetsRecieved || // Common typo in some implementations
+                          0;
+    
+    if (packetsReceived > 0 || packetsLost > 0) {
+      const totalPackets = packetsLost + packetsReceived;
+      if (totalPackets > 0) {
+        videoPacketLossFromRemote = (packetsLost / totalPackets) * 100;
+        hasRemoteInboundStats = true;
+      }
+    }
+  }
+  
+  if (remoteInboundAudio) {
+    const packetsLost = remoteInboundAudio.packetsLost || 0;
+    const packetsReceived = remoteInboundAudio.packetsReceived || 
+                          remoteInboundAudio.packetsRecieved || 
+                          0;
+                          
+    if (packetsReceived > 0 || packetsLost > 0) {
+      const totalPackets = packetsLost + packetsReceived;
+      if (totalPackets > 0) {
+        audioPacketLossFromRemote = (packetsLost / totalPackets) * 100;
+        hasRemoteInboundStats = true;
+      }
+    }
+  }
+  
+  // Use remote stats if available, otherwise fall back to outbound stats
+  if (hasRemoteInboundStats) {
+    // Only use remote stats if they seem reasonable
+    if (videoPacketLossFromRemote < 100) {
+      metrics.videoPacketLoss = videoPacketLossFromRemote;
+    }
+    if (audioPacketLossFromRemote < 100) {
+      metrics.audioPacketLoss = audioPacketLossFromRemote;
+    }
+  }
+  
+  // Additional fallback: use inbound stats for packet loss if available
+  if ((metrics.videoPacketLoss >= 100 || metrics.audioPacketLoss >= 100) && inboundVideo) {
+    // For inbound stats, packetsLost and packetsReceived should be total counts
+    const packetsLost = inboundVideo.packetsLost || 0;
+    const packetsReceived = inboundVideo.packetsReceived || 0;
+    const totalPackets = packetsLost + packetsReceived;
+    
+    if (totalPackets > 100) { // Only use if we have a reasonable sample size
+      metrics.videoPacketLoss = (packetsLost / totalPackets) * 100;
+    }
+  }
+  
+  if ((metrics.audioPacketLoss >= 100) && inboundAudio) {
+    const packetsLost = inboundAudio.packetsLost || 0;
+    const packetsReceived = inboundAudio.packetsReceived || 0;
+    const totalPackets = packetsLost + packetsReceived;
+    
+    if (totalPackets > 100) { // Only use if we have a reasonable sample size
+      metrics.audioPacketLoss = (packetsLost / totalPackets) * 100;
+    }
+  }
+  
+  // Final safety check - cap packet loss at reasonable values
+  metrics.videoPacketLoss = Math.min(50, Math.max(0, metrics.videoPacketLoss));
+  metrics.audioPacketLoss = Math.min(50, Math.max(0, metrics.audioPacketLoss));
+  // If no remote stats available, the outbound calculation from earlier will be used
+  
+  // Debug logging for packet loss issues (temporary)
+  if (metrics.videoPacketLoss > 50 || metrics.audioPacketLoss > 50) {
+    console.log(`🐛 High packet loss detected for ${peerId}:`, {
+      videoLoss: metrics.videoPacketLoss.toFixed(1),
+      audioLoss: metrics.audioPacketLoss.toFixed(1),
+      hasRemoteStats: hasRemoteInboundStats,
+      remoteVideoStats: remoteInboundVideo ? {
+        packetsLost: remoteInboundVideo.packetsLost,
+        packetsReceived: remoteInboundVideo.packetsReceived
+      } : null,
+      outboundVideoStats: outboundVideo ? {
+        packetsSent: outboundVideo.packetsSent,
+        packetsLost: outboundVideo.packetsLost
+      } : null
+    });
+  }
+  
+  if (inboundAudio) {
+    metrics.jitter = inboundAudio.jitter || 0;
+  }
+  
+  // Downlink video loss and bitrate, used to pick the simulcast layer we receive
+  if (previousStats && previousStats.inboundVideoTotals) {
+    const previousTotals = previousStats.inboundVideoTotals;
+    const timeDelta = (now - previousStats.timestamp) / 1000;
+    const receivedDelta = inboundVideoTotals.packetsReceived - previousTotals.packetsReceived;
+    const lostDelta = inboundVideoTotals.packetsLost - previousTotals.packetsLost;
+    
+    if (receivedDelta + lostDelta > 0 && lostDelta >= 0) {
+      metrics.inboundVideoPacketLoss = Math.min(50, (lostDelta / (receivedDelta + lostDelta)) * 100);
+    }
+    if (timeDelta > 0) {
+      metrics.inboundVideoBitrate = Math.max(0, ((inboundVideoTotals.bytesReceived - previousTotals.bytesReceived) * 8) / timeDelta);
+    }
+  }
+  
+  // Store raw stats for next comparison
+  metrics.inboundVideoTotals = inboundVideoTotals;
+  metrics.outboundVideo = outboundVideo;
+  metrics.outboundAudio = outboundAudio;
+  metrics.remoteInboundVideo = remoteInboundVideo;
+  metrics.remoteInboundAudio = remoteInboundAudio;
+  
+  return metrics;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    analyzeStats
+  };
+}
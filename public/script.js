@@ -1,22 +1,74 @@
 // WebSocket connection
 const wsProtocol = window.location.protocol === "https:" ? "wss" : "ws";
-const ws = new WebSocket(wsProtocol + "://" + window.location.host);
+let ws; // Replaced on every reconnect, see connectSignaling
 
 // State management
 let localStream;
 let myId;
 let isMicMuted = false;
 let isCameraOff = false;
+let isViewer = false; // Listen-only seat in a full room: we receive media but never publish
 const participants = new Map(); // Store participant data
 const peerConnections = new Map(); // Store WebRTC connections
+const pendingCandidates = new Map(); // peerId -> ICE candidates that arrived before the remote description
+const candidateStats = new Map(); // peerId -> { buffered, applied, failed, dropped }
+const MAX_PENDING_CANDIDATES = 50; // Per peer; a full ICE gathering is well under this
+
+// Connection recovery: an ICE restart first, then full reconnects with exponential backoff
+const RECOVERY_MAX_ATTEMPTS = 5;
+const RECOVERY_BASE_DELAY = 1000; // Doubles with every attempt
+const RECOVERY_MAX_DELAY = 16000;
+const peerRecovery = new Map(); // peerId -> { attempts, timer }
+
+// Room selection state
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+let currentRoom = getRoomFromUrl();
+let roomListInterval;
+let roomOwnerId = null;
+let isRoomLocked = false;
+const waitingUsers = new Map(); // Users knocking to enter (host only)
+let noticeTimeout;
+
+// Local profile (display name and avatar colour), remembered across visits
+const PROFILE_STORAGE_KEY = 'videoConferenceProfile';
+const AVATAR_COLORS = ['#1a73e8', '#34a853', '#f29900', '#d93025', '#9c27b0', '#00897b', '#e8710a', '#5c6bc0'];
+let localProfile = loadLocalProfile();
+
+// Screen sharing state
+let screenStream = null;
+let presenterId = null; // Participant pinned in the presenter tile ('local' or a peer id)
+
+// Device selection state (deviceIds chosen in the settings dialog)
+const DEVICE_STORAGE_KEY = 'videoConferenceDevices';
+let selectedDevices = loadSelectedDevices();
+let knownDeviceIds = new Set();
+
+// Pre-join preview state
+let previewStream = null;
+let previewParticipant = null;
+let previewMeter = null;
+
+// SFU mode: one connection to the server carries everyone's media
+const SFU_PEER_ID = 'sfu'; // peerConnections key, so stats and adaptation cover the uplink
+let roomMode = 'mesh';
+const sfuTrackOwners = new Map(); // mid -> userId of the forwarded track
+let sfuReceiveQuality = 'HIGH'; // Simulcast layer we asked the SFU to forward to us
+const SFU_DOWNLINK_ID = 'sfu-downlink'; // Adaptation link for what the SFU forwards to us
+
+// In-call chat state
+const seenChatMessageIds = new Set(); // Dedupe messages that arrive via both paths
+let unreadChatCount = 0;
+
+// File transfer state
+const FILE_CHUNK_SIZE = 16 * 1024; // Message size every browser's SCTP stack accepts
+const FILE_BUFFER_HIGH_WATER = 1024 * 1024; // Pause sending above 1 MB queued
+const FILE_BUFFER_LOW_WATER = 256 * 1024; // Resume once drained below 256 KB
+const MAX_FILE_SIZE = 200 * 1024 * 1024; // 200 MB, files are held in memory
+const fileTransfers = new Map(); // transferId -> sending or receiving transfer
 
 // Network adaptation state
 const networkStats = new Map(); // Store per-peer network statistics
-const BANDWIDTH_THRESHOLDS = {
-  LOW: 150000,    // 150 kbps - audio only (more conservative)
-  MEDIUM: 500000, // 500 kbps - low quality video (more conservative)
-  HIGH: 1000000   // 1 Mbps - high quality video (more conservative)
-};
+const PROBE_CHUNK_SIZE = 1000; // Padding message size, below the path MTU
 
 const VIDEO_CONSTRAINTS = {
   LOW: { width: 160, height: 120, frameRate: 15 },
@@ -24,11 +76,45 @@ const VIDEO_CONSTRAINTS = {
   HIGH: { width: 640, height: 480, frameRate: 30 }
 };
 
-let currentVideoQuality = 'HIGH';
+// Simulcast layers published in SFU rooms, one per VIDEO_CONSTRAINTS tier (lowest first).
+// Bitrates match the single-encoding tiers in adjustVideoQuality.
+const SIMULCAST_LAYERS = [
+  { rid: 'low', quality: 'LOW', maxBitrate: 200000 },
+  { rid: 'medium', quality: 'MEDIUM', maxBitrate: 600000 },
+  { rid: 'high', quality: 'HIGH', maxBitrate: 1200000 }
+].map(layer => ({
+  ...layer,
+  scaleResolutionDownBy: VIDEO_CONSTRAINTS.HIGH.width / VIDEO_CONSTRAINTS[layer.quality].width,
+  maxFramerate: VIDEO_CONSTRAINTS[layer.quality].frameRate
+}));
+const QUALITY_ORDER = ADAPTATION_TIERS; // From adaptation.js
+
+// Screen content keeps full resolution; quality tiers trade frame rate instead
+const SCREEN_SHARE_FRAME_RATES = {
+  LOW: 5,
+  MEDIUM: 10,
+  HIGH: 15
+};
+
+// Connection settings shared by mesh and SFU connections. ICE servers and the transport policy
+// arrive in room-joined, since the server mints TURN credentials per user and they expire.
+const RTC_CONFIGURATION = {
+  iceCandidatePoolSize: 10,
+  bundlePolicy: 'max-bundle',
+  rtcpMuxPolicy: 'require'
+};
+let rtcConfiguration = RTC_CONFIGURATION;
+
+let currentVideoQuality = 'HIGH'; // Best tier we send to anyone, for the global indicator
+const adaptation = new AdaptationEngine(); // Per-link tiers; policy is replaced by the server's on load
 let isAdaptiveMode = true;
 let networkMonitoringInterval;
-let initialConnectionPhase = true; // Give initial connections time to stabilize
-let connectionStartTime = null;
+
+// Network simulation state (see network-simulator.js)
+let networkSimulation = null; // NetworkSimulator while a scenario replaces getStats()
+let resolveNetworkSimulation = null;
+let simulationTiers = null; // linkId -> tier each real link was on before the run
+const SIMULATED_PEER_ID = 'simulated'; // Stand-in link when simulating alone in a meeting
 
 // Active speaker detection state
 let activeSpeaker = null;
@@ -44,17 +130,387 @@ const joinBtn = document.getElementById('joinBtn');
 const leaveBtn = document.getElementById('leaveBtn');
 const micBtn = document.getElementById('micBtn');
 const cameraBtn = document.getElementById('cameraBtn');
+const screenShareBtn = document.getElementById('screenShareBtn');
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsDialog = document.getElementById('settingsDialog');
+const cameraSelect = document.getElementById('cameraSelect');
+const microphoneSelect = document.getElementById('microphoneSelect');
+const speakerSelect = document.getElementById('speakerSelect');
+const speakerField = document.getElementById('speakerField');
+const settingsDoneBtn = document.getElementById('settingsDoneBtn');
+const simulationSelect = document.getElementById('simulationSelect');
+const preJoinDialog = document.getElementById('preJoinDialog');
+const preJoinPreview = document.getElementById('preJoinPreview');
+const micMeterFill = document.getElementById('micMeterFill');
+const preJoinMicBtn = document.getElementById('preJoinMicBtn');
+const preJoinCameraBtn = document.getElementById('preJoinCameraBtn');
+const preJoinSettingsBtn = document.getElementById('preJoinSettingsBtn');
+const preJoinCancelBtn = document.getElementById('preJoinCancelBtn');
+const preJoinJoinBtn = document.getElementById('preJoinJoinBtn');
 const statsPanel = document.getElementById('connectionStats');
+const roomNameLabel = document.getElementById('roomName');
+const copyLinkBtn = document.getElementById('copyLinkBtn');
+const lobby = document.getElementById('lobby');
+const newRoomBtn = document.getElementById('newRoomBtn');
+const shareLink = document.getElementById('shareLink');
+const shareLinkInput = document.getElementById('shareLinkInput');
+const enterRoomBtn = document.getElementById('enterRoomBtn');
+const joinRoomForm = document.getElementById('joinRoomForm');
+const roomInput = document.getElementById('roomInput');
+const roomList = document.getElementById('roomList');
+const displayNameInput = document.getElementById('displayNameInput');
+const avatarColorInput = document.getElementById('avatarColorInput');
+const roomPasswordInput = document.getElementById('roomPasswordInput');
+const lockBtn = document.getElementById('lockBtn');
+const notice = document.getElementById('notice');
+const waitingRoomCheckbox = document.getElementById('waitingRoomCheckbox');
+const sfuModeCheckbox = document.getElementById('sfuModeCheckbox');
+const waitingOverlay = document.getElementById('waitingOverlay');
+const cancelWaitingBtn = document.getElementById('cancelWaitingBtn');
+const roomFullOverlay = document.getElementById('roomFullOverlay');
+const roomFullText = document.getElementById('roomFullText');
+const queueBtn = document.getElementById('queueBtn');
+const viewerBtn = document.getElementById('viewerBtn');
+const cancelRoomFullBtn = document.getElementById('cancelRoomFullBtn');
+const waitingPanel = document.getElementById('waitingPanel');
+const waitingList = document.getElementById('waitingList');
+const muteAllBtn = document.getElementById('muteAllBtn');
+const endMeetingBtn = document.getElementById('endMeetingBtn');
+const chatBtn = document.getElementById('chatBtn');
+const chatUnreadBadge = document.getElementById('chatUnreadBadge');
+const chatPanel = document.getElementById('chatPanel');
+const chatCloseBtn = document.getElementById('chatCloseBtn');
+const chatMessagesList = document.getElementById('chatMessages');
+const chatForm = document.getElementById('chatForm');
+const chatRecipient = document.getElementById('chatRecipient');
+const chatInput = document.getElementById('chatInput');
+const attachFileBtn = document.getElementById('attachFileBtn');
+const fileInput = document.getElementById('fileInput');
+const dropOverlay = document.getElementById('dropOverlay');
+const transfersPanel = document.getElementById('transfersPanel');
+const transferList = document.getElementById('transferList');
 
 // Network monitoring elements (will be created dynamically)
 let networkQualityIndicator;
 let videoQualityIndicator;
 let adaptiveModeToggle;
 
-// WebSocket event handlers
-ws.onopen = () => console.log('🔌 Connected to server');
-ws.onerror = (error) => console.error('❌ WebSocket error:', error);
-ws.onclose = () => console.log('🔌 Disconnected from server');
+// Signaling reconnects with backoff; inside a meeting it resumes our slot with the
+// token from room-joined, so peers keep their connections and never see us leave
+const SIGNALING_RECONNECT_BASE_DELAY = 1000; // Doubles with every failed attempt
+const SIGNALING_RECONNECT_MAX_DELAY = 30000;
+let signalingReconnectAttempts = 0;
+let resumeToken = null;
+let awaitingSeat = null; // 'waiting' (for the host) or 'queued' until we are in the room
+
+function connectSignaling() {
+  ws = new WebSocket(wsProtocol + "://" + window.location.host);
+  
+  ws.onopen = () => {
+    console.log('🔌 Connected to server');
+    signalingReconnectAttempts = 0;
+    if (resumeToken) {
+      sendSignal({ type: 'resume', token: resumeToken });
+    } else if (awaitingSeat) {
+      // The server forgets knocks and queue places with the socket, so ask again
+      console.log(`🔄 Asking to join ${currentRoom} again (was ${awaitingSeat})`);
+      sendJoinRoom(awaitingSeat === 'queued' ? { queue: true } : {});
+    }
+  };
+  ws.onerror = (error) => console.error('❌ WebSocket error:', error);
+  ws.onclose = () => {
+    const delay = Math.min(SIGNALING_RECONNECT_BASE_DELAY * 2 ** signalingReconnectAttempts, SIGNALING_RECONNECT_MAX_DELAY);
+    signalingReconnectAttempts++;
+    console.log(`🔌 Disconnected from server, reconnecting in ${delay}ms`);
+    setTimeout(connectSignaling, delay);
+  };
+  ws.onmessage = handleSignalingMessage;
+}
+
+// Messages sent while the socket is down are dropped; peer recovery covers lost negotiation
+function sendSignal(message) {
+  if (ws.readyState !== WebSocket.OPEN) {
+    console.warn(`🔌 Not connected to server, dropping ${message.type}`);
+    return;
+  }
+  ws.send(JSON.stringify(message));
+}
+
+connectSignaling();
+
+// Room selection from URL (/r/<room> or ?room=<room>)
+function getRoomFromUrl() {
+  const pathMatch = window.location.pathname.match(/^\/r\/([^/]+)\/?$/);
+  const room = pathMatch
+    ? decodeURIComponent(pathMatch[1])
+    : new URLSearchParams(window.location.search).get('room');
+  return room && ROOM_ID_PATTERN.test(room) ? room : null;
+}
+
+function getRoomLink(roomId) {
+  return `${window.location.origin}/r/${encodeURIComponent(roomId)}`;
+}
+
+// Generate a Meet-style room id like "abc-defg-hij"
+function generateRoomId() {
+  const letters = 'abcdefghijklmnopqrstuvwxyz';
+  const random = crypto.getRandomValues(new Uint8Array(10));
+  const chars = Array.from(random, (value) => letters[value % letters.length]).join('');
+  return `${chars.slice(0, 3)}-${chars.slice(3, 7)}-${chars.slice(7)}`;
+}
+
+function enterRoom(roomId) {
+  currentRoom = roomId;
+  if (window.location.pathname !== `/r/${encodeURIComponent(roomId)}`) {
+    window.history.pushState({ room: roomId }, '', `/r/${encodeURIComponent(roomId)}`);
+  }
+  console.log(`🚪 Selected room ${roomId}`);
+  updateRoomUI();
+}
+
+function updateRoomUI() {
+  if (currentRoom) {
+    roomNameLabel.textContent = `# ${currentRoom}`;
+    copyLinkBtn.style.display = 'inline-block';
+    lobby.classList.add('hidden');
+    clearInterval(roomListInterval);
+    roomListInterval = null;
+  } else {
+    roomNameLabel.textContent = '';
+    copyLinkBtn.style.display = 'none';
+    lobby.classList.remove('hidden');
+    refreshRoomList();
+    if (!roomListInterval) {
+      roomListInterval = setInterval(refreshRoomList, 5000);
+    }
+  }
+}
+
+// Thresholds and dwell times are configured on the server; keep the defaults if it's unreachable
+async function loadAdaptationPolicy() {
+  try {
+    const response = await fetch('/api/adaptation-policy');
+    adaptation.setPolicy(await response.json());
+    console.log('📶 Loaded network adaptation policy from server');
+  } catch (error) {
+    console.error('Error loading adaptation policy, using defaults:', error);
+  }
+}
+
+// Fetch active rooms and their sizes from the server
+async function refreshRoomList() {
+  try {
+    const response = await fetch('/api/rooms');
+    const { rooms } = await response.json();
+    
+    roomList.innerHTML = '';
+    if (rooms.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No active rooms';
+      roomList.appendChild(empty);
+      return;
+    }
+    
+    rooms.forEach((room) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `/r/${encodeURIComponent(room.id)}`;
+      link.textContent = room.id;
+      link.onclick = (event) => {
+        event.preventDefault();
+        enterRoom(room.id);
+      };
+      const size = document.createElement('span');
+      const badges = `${room.hasPassword ? ' 🔑' : ''}${room.locked ? ' 🔒' : ''}${room.mode === 'sfu' ? ' 📡' : ''}${room.full ? ' 🚧' : ''}`;
+      size.textContent = `${room.size} participant${room.size !== 1 ? 's' : ''}${badges}`;
+      item.appendChild(link);
+      item.appendChild(size);
+      roomList.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error fetching active rooms:', error);
+  }
+}
+
+newRoomBtn.onclick = () => {
+  const roomId = generateRoomId();
+  shareLinkInput.value = getRoomLink(roomId);
+  shareLink.classList.add('visible');
+  shareLinkInput.select();
+  enterRoomBtn.onclick = () => enterRoom(roomId);
+};
+
+joinRoomForm.onsubmit = (event) => {
+  event.preventDefault();
+  const roomId = roomInput.value.trim();
+  if (!ROOM_ID_PATTERN.test(roomId)) {
+    alert('Room names may only contain letters, numbers, "-" and "_".');
+    return;
+  }
+  enterRoom(roomId);
+};
+
+copyLinkBtn.onclick = async () => {
+  if (!currentRoom) return;
+  try {
+    await navigator.clipboard.writeText(getRoomLink(currentRoom));
+    copyLinkBtn.textContent = '✅ Copied';
+  } catch (error) {
+    // Clipboard API can be unavailable on insecure origins
+    window.prompt('Copy this meeting link:', getRoomLink(currentRoom));
+  }
+  setTimeout(() => { copyLinkBtn.textContent = '🔗 Copy link'; }, 2000);
+};
+
+// Show a short-lived message over the call (join errors, room events)
+function showNotice(message, type = 'error') {
+  notice.textContent = message;
+  notice.className = `notice visible ${type === 'info' ? 'info' : ''}`;
+  clearTimeout(noticeTimeout);
+  noticeTimeout = setTimeout(() => {
+    notice.className = 'notice';
+  }, 5000);
+}
+
+// Owner-only controls follow the current room owner
+function updateRoomControls() {
+  const isOwner = myId && roomOwnerId === myId;
+  lockBtn.style.display = isOwner ? 'flex' : 'none';
+  lockBtn.textContent = isRoomLocked ? '🔒' : '🔓';
+  lockBtn.title = isRoomLocked ? 'Unlock Room' : 'Lock Room';
+  lockBtn.className = `control-btn ${isRoomLocked ? 'muted' : ''}`;
+  document.body.classList.toggle('is-host', Boolean(isOwner));
+}
+
+// Host-side list of users waiting with Admit/Deny buttons
+function renderWaitingPanel() {
+  const isOwner = myId && roomOwnerId === myId;
+  waitingList.replaceChildren();
+  
+  waitingUsers.forEach((user) => {
+    const item = document.createElement('li');
+    
+    const name = document.createElement('span');
+    name.className = 'waiting-name';
+    name.textContent = user.name || `User ${user.id.substring(0, 8)}`;
+    
+    const admitButton = document.createElement('button');
+    admitButton.className = 'admit-btn';
+    admitButton.textContent = 'Admit';
+    admitButton.onclick = () => respondToKnock(user.id, true);
+    
+    const denyButton = document.createElement('button');
+    denyButton.className = 'deny-btn';
+    denyButton.textContent = 'Deny';
+    denyButton.onclick = () => respondToKnock(user.id, false);
+    
+    item.append(name, admitButton, denyButton);
+    waitingList.appendChild(item);
+  });
+  
+  waitingPanel.classList.toggle('hidden', !isOwner || waitingUsers.size === 0);
+}
+
+function respondToKnock(userId, admit) {
+  sendSignal({ type: admit ? 'admit-user' : 'deny-user', userId });
+  waitingUsers.delete(userId);
+  renderWaitingPanel();
+}
+
+cancelWaitingBtn.onclick = () => leaveMeeting();
+
+queueBtn.onclick = () => sendJoinRoom({ queue: true });
+viewerBtn.onclick = () => sendJoinRoom({ viewer: true });
+cancelRoomFullBtn.onclick = () => leaveMeeting();
+
+muteAllBtn.onclick = () => {
+  sendSignal({ type: 'mute-all' });
+  showNotice('🔇 Asked everyone to mute', 'info');
+};
+
+endMeetingBtn.onclick = () => {
+  if (!confirm('End the meeting for everyone?')) return;
+  sendSignal({ type: 'end-meeting' });
+  leaveMeeting(false);
+};
+
+lockBtn.onclick = () => {
+  sendSignal({ type: 'lock-room', locked: !isRoomLocked });
+};
+
+window.addEventListener('popstate', () => {
+  // Don't switch rooms underneath an active call
+  if (localStream) return;
+  currentRoom = getRoomFromUrl();
+  updateRoomUI();
+});
+
+updateRoomUI();
+loadAdaptationPolicy();
+
+// Profile helpers
+function loadLocalProfile() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      return { name: stored.name || '', color: stored.color || AVATAR_COLORS[0] };
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not read saved profile:', error);
+  }
+  return { name: '', color: AVATAR_COLORS[0] };
+}
+
+function saveLocalProfile() {
+  try {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(localProfile));
+  } catch (error) {
+    console.warn('⚠️ Could not save profile:', error);
+  }
+}
+
+function getParticipantName(participantId) {
+  const participant = participants.get(participantId);
+  return participant ? participant.name : `User ${participantId.substring(0, 8)}`;
+}
+
+function getInitials(name) {
+  const words = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '?';
+  if (words.length === 1) return words[0].substring(0, 2);
+  return words[0][0] + words[words.length - 1][0];
+}
+
+// Stable fallback colour for participants who didn't pick one
+function getDefaultAvatarColor(id) {
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) >>> 0;
+  }
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+}
+
+displayNameInput.value = localProfile.name;
+avatarColorInput.value = localProfile.color;
+
+// Renaming mid-call propagates to everyone through the server
+function handleProfileChange() {
+  localProfile = {
+    name: displayNameInput.value.trim().substring(0, 40),
+    color: avatarColorInput.value
+  };
+  saveLocalProfile();
+  
+  const localParticipant = participants.get('local');
+  if (localParticipant) {
+    localParticipant.setProfile(localProfile);
+    sendSignal({ type: 'update-profile', ...localProfile });
+    console.log(`✏️ Profile updated: ${localProfile.name || '(no name)'}`);
+  }
+}
+
+displayNameInput.onchange = handleProfileChange;
+avatarColorInput.onchange = handleProfileChange;
 
 // Activity (awake/asleep) detection constants
 const EYE_EAR_THRESHOLD = 0.30; // Higher threshold detects closures sooner
@@ -62,67 +518,20 @@ const SLEEP_MS = 800; // quicker to mark slept
 const WAKE_MS = 250; // quicker to mark active
 const GONE_MS = 3000; // Time with no face detected before marking as 'gone'
 
-// Utility functions for activity detection
-function euclideanDistance(a, b) {
-  const dx = a.x - b.x;
-  const dy = a.y - b.y;
-  return Math.hypot(dx, dy);
-}
-
-function computeEAR(landmarks, eye) {
-  // eye is array of 6 indices: [p1, p2, p3, p4, p5, p6]
-  const p1 = landmarks[eye[0]];
-  const p2 = landmarks[eye[1]];
-  const p3 = landmarks[eye[2]];
-  const p4 = landmarks[eye[3]];
-  const p5 = landmarks[eye[4]];
-  const p6 = landmarks[eye[5]];
-  const vertical1 = euclideanDistance(p2, p6);
-  const vertical2 = euclideanDistance(p3, p5);
-  const horizontal = euclideanDistance(p1, p4);
-  if (horizontal === 0) return 0;
-  return (vertical1 + vertical2) / (2 * horizontal);
-}
-
-// Distance-normalized EAR calculation
-function computeNormalizedEAR(landmarks, leftEye, rightEye) {
-  // Calculate individual eye EARs
-  const leftEAR = computeEAR(landmarks, leftEye);
-  const rightEAR = computeEAR(landmarks, rightEye);
-  const avgEAR = (leftEAR + rightEAR) / 2;
-  
-  // Calculate face size for normalization using key facial landmarks
-  const noseTip = landmarks[1];          // Nose tip
-  const chin = landmarks[175];           // Chin center
-  const leftFace = landmarks[234];       // Left face boundary
-  const rightFace = landmarks[454];      // Right face boundary
-  
-  // Face dimensions for size estimation
-  const faceHeight = euclideanDistance(noseTip, chin);
-  const faceWidth = euclideanDistance(leftFace, rightFace);
-  const faceSize = Math.sqrt(faceHeight * faceWidth); // Geometric mean of dimensions
-  
-  // Normalize EAR by face size - larger faces get higher threshold tolerance
-  const sizeNormalizationFactor = Math.max(0.5, Math.min(2.0, faceSize / 0.15));
-  const normalizedEAR = avgEAR / sizeNormalizationFactor;
-  
-  return {
-    rawEAR: avgEAR,
-    normalizedEAR: normalizedEAR,
-    faceSize: faceSize,
-    normalizationFactor: sizeNormalizationFactor
-  };
-}
-
 // Participant class to manage individual participants
 class Participant {
-  constructor(id, isLocal = false) {
+  constructor(id, isLocal = false, profile = {}) {
     this.id = id;
     this.isLocal = isLocal;
     this.stream = null;
     this.videoElement = null;
     this.tileElement = null;
-    this.name = isLocal ? 'You' : `User ${id.substring(0, 8)}`;
+    this.displayName = profile.name || null;
+    this.color = profile.color || getDefaultAvatarColor(id);
+    this.name = this.getLabel();
+    this.noVideoCaption = null;
+    this.isScreenSharing = Boolean(profile.screenSharing);
+    this.isViewer = Boolean(profile.viewer);
     this.audioContext = null;
     this.audioAnalyser = null;
     this.audioLevel = 0;
@@ -131,10 +540,55 @@ class Participant {
     this.createTile();
   }
   
+  // Viewers have no media, so their tile stays out of the grid
+  setViewer(viewer) {
+    this.isViewer = viewer;
+    this.tileElement.classList.toggle('viewer-tile', viewer);
+    updateGridLayout();
+  }
+  
+  getLabel() {
+    if (this.isLocal) {
+      return this.displayName ? `${this.displayName} (You)` : 'You';
+    }
+    return this.displayName || `User ${this.id.substring(0, 8)}`;
+  }
+  
+  setProfile(profile) {
+    this.displayName = profile.name || null;
+    this.color = profile.color || getDefaultAvatarColor(this.id);
+    this.name = this.getLabel();
+    
+    const infoElement = this.tileElement.querySelector('.participant-info');
+    if (infoElement) {
+      infoElement.textContent = this.name;
+    }
+    this.renderNoVideo(this.noVideoCaption);
+    updateChatRecipients();
+    updateStats();
+  }
+  
+  // Avatar with initials shown when there is no video
+  renderNoVideo(caption = null) {
+    this.noVideoCaption = caption;
+    
+    const avatar = document.createElement('div');
+    avatar.className = 'avatar';
+    avatar.style.background = this.color;
+    avatar.textContent = getInitials(this.displayName || (this.isLocal ? 'You' : this.name));
+    
+    const nameElement = document.createElement('div');
+    nameElement.className = 'avatar-name';
+    nameElement.textContent = caption || this.name;
+    
+    this.noVideoElement.replaceChildren(avatar, nameElement);
+  }
+  
   createTile() {
     // Create participant tile
     this.tileElement = document.createElement('div');
     this.tileElement.className = `participant-tile ${this.isLocal ? 'local-participant' : 'remote-participant'}`;
+    this.tileElement.classList.toggle('viewer-tile', this.isViewer);
     this.tileElement.id = `participant-${this.id}`;
     
     // Create video element
@@ -146,6 +600,11 @@ class Participant {
       this.videoElement.muted = true; // Always mute local video to prevent feedback
     }
     
+    // Route remote audio to the chosen speaker
+    if (!this.isLocal) {
+      applyAudioOutput(this.videoElement);
+    }
+    
     // Create info overlay
     const infoElement = document.createElement('div');
     infoElement.className = 'participant-info';
@@ -160,18 +619,75 @@ class Participant {
     // Create no-video placeholder
     const noVideoElement = document.createElement('div');
     noVideoElement.className = 'no-video';
-    noVideoElement.textContent = '👤';
+    this.noVideoElement = noVideoElement;
+    this.renderNoVideo();
     
     this.tileElement.appendChild(this.videoElement);
     this.tileElement.appendChild(noVideoElement);
     this.tileElement.appendChild(activityElement);
     this.tileElement.appendChild(infoElement);
     
+    // Host moderation buttons and link quality on remote tiles
+    if (!this.isLocal) {
+      this.tileElement.appendChild(this.createHostControls());
+      
+      this.linkQualityElement = document.createElement('div');
+      this.tileElement.appendChild(this.linkQualityElement);
+      this.setLinkQuality(getPeerQuality(this.id));
+    }
+    
     videoGrid.appendChild(this.tileElement);
     updateGridLayout();
   }
   
+  // Per-peer adaptation tier for our link with this participant
+  setLinkQuality(quality) {
+    if (!this.linkQualityElement) return;
+    this.linkQualityElement.className = `link-quality ${quality.toLowerCase().replace('_', '-')}`;
+    this.linkQualityElement.textContent = quality === 'AUDIO_ONLY' ? '🎵 Audio only' : `📶 ${quality}`;
+  }
+  
+  createHostControls() {
+    const hostControls = document.createElement('div');
+    hostControls.className = 'host-controls host-only';
+    
+    const muteButton = document.createElement('button');
+    muteButton.textContent = '🔇';
+    muteButton.title = 'Ask to mute';
+    muteButton.onclick = () => {
+      sendSignal({ type: 'mute-participant', userId: this.id });
+    };
+    
+    const removeButton = document.createElement('button');
+    removeButton.textContent = '✖';
+    removeButton.title = 'Remove from meeting';
+    removeButton.onclick = () => {
+      if (confirm(`Remove ${this.name} from the meeting?`)) {
+        sendSignal({ type: 'remove-participant', userId: this.id });
+      }
+    };
+    
+    hostControls.append(muteButton, removeButton);
+    return hostControls;
+  }
+  
+  // Local tile previews the shared screen while presenting
+  showScreenPreview(stream) {
+    this.stopActivityDetection();
+    if (this.videoElement.srcObject !== stream) {
+      this.videoElement.srcObject = stream;
+    }
+    this.videoElement.style.display = 'block';
+    this.noVideoElement.style.display = 'none';
+  }
+  
   setStream(stream) {
+    if (this.isLocal && screenStream) {
+      this.stream = stream;
+      this.showScreenPreview(screenStream);
+      return;
+    }
+    
     this.stream = stream;
     this.videoElement.srcObject = stream;
     
@@ -180,7 +696,7 @@ class Participant {
     
     // Only manage video/no-video display if not in audio-only mode
     // In audio-only mode, the updateVideoDisplayForAudioOnly function handles this
-    if (currentVideoQuality !== 'AUDIO_ONLY' || this.isLocal) {
+    if (this.isLocal || getPeerQuality(this.id) !== 'AUDIO_ONLY') {
       const noVideo = this.tileElement.querySelector('.no-video');
       if (stream && stream.getVideoTracks().length > 0) {
         // For local user, also check if video track is enabled and camera isn't off
@@ -189,8 +705,10 @@ class Participant {
         if (shouldShowVideo) {
           this.videoElement.style.display = 'block';
           noVideo.style.display = 'none';
-          // Start activity detection when we have video
-          this.initActivityDetection();
+          // Start activity detection when we have video (not on shared screens)
+          if (!this.isScreenSharing) {
+            this.initActivityDetection();
+          }
         } else {
           this.videoElement.style.display = 'none';
           noVideo.style.display = 'flex';
@@ -207,6 +725,8 @@ class Participant {
   }
   
   setupAudioMonitoring(stream) {
+    // Replaces any analyser on an earlier (possibly stopped) track
+    this.stopAudioMonitoring();
     if (!stream || !stream.getAudioTracks().length) return;
     
     try {
@@ -260,16 +780,21 @@ class Participant {
     updateLevel();
   }
   
-  remove() {
-    // Clean up audio monitoring
+  stopAudioMonitoring() {
     if (this.audioContext) {
       this.audioContext.close();
       this.audioContext = null;
     }
     this.audioAnalyser = null;
+    this.audioLevel = 0;
     
     // Remove from audio levels tracking
     audioLevels.delete(this.id);
+  }
+  
+  remove() {
+    // Clean up audio monitoring
+    this.stopAudioMonitoring();
 
     // Stop activity detection
     this.stopActivityDetection();
@@ -456,24 +981,26 @@ class Participant {
     // It only updates the UI, doesn't trigger further broadcasts
     if (!this.activityElement) return;
     
+    const isAudioOnly = getPeerQuality(this.id) === 'AUDIO_ONLY';
+    
     this.activityElement.classList.remove('active', 'slept', 'unknown', 'gone');
     switch (status) {
       case 'active':
         this.activityElement.classList.add('active');
         // Add indicator that this status is transmitted, not locally detected
-        this.activityElement.textContent = currentVideoQuality === 'AUDIO_ONLY' ? '🙂 Active (Audio)' : '🙂 Active';
+        this.activityElement.textContent = isAudioOnly ? '🙂 Active (Audio)' : '🙂 Active';
         break;
       case 'slept':
         this.activityElement.classList.add('slept');
-        this.activityElement.textContent = currentVideoQuality === 'AUDIO_ONLY' ? '😴 Slept (Audio)' : '😴 Slept';
+        this.activityElement.textContent = isAudioOnly ? '😴 Slept (Audio)' : '😴 Slept';
         break;
       case 'gone':
         this.activityElement.classList.add('gone');
-        this.activityElement.textContent = currentVideoQuality === 'AUDIO_ONLY' ? '👻 Gone (Audio)' : '👻 Gone';
+        this.activityElement.textContent = isAudioOnly ? '👻 Gone (Audio)' : '👻 Gone';
         break;
       default:
         this.activityElement.classList.add('unknown');
-        this.activityElement.textContent = currentVideoQuality === 'AUDIO_ONLY' ? '⏳ Waiting...' : '⏳ Checking...';
+        this.activityElement.textContent = isAudioOnly ? '⏳ Waiting...' : '⏳ Checking...';
     }
   }
 
@@ -490,15 +1017,57 @@ class Participant {
   }
 }
 
+// Local tile rendered in the pre-join screen instead of the grid
+class PreviewParticipant extends Participant {
+  constructor(profile) {
+    super('preview', true, profile);
+  }
+  
+  createTile() {
+    this.tileElement = document.createElement('div');
+    this.tileElement.className = 'participant-tile local-participant';
+    
+    this.videoElement = document.createElement('video');
+    this.videoElement.className = 'participant-video';
+    this.videoElement.autoplay = true;
+    this.videoElement.playsInline = true;
+    this.videoElement.muted = true;
+    
+    const infoElement = document.createElement('div');
+    infoElement.className = 'participant-info';
+    infoElement.textContent = this.name;
+    
+    this.activityElement = document.createElement('div');
+    this.activityElement.className = 'activity-status unknown';
+    this.activityElement.textContent = '⏳ Checking...';
+    
+    this.noVideoElement = document.createElement('div');
+    this.noVideoElement.className = 'no-video';
+    this.renderNoVideo();
+    
+    this.tileElement.append(this.videoElement, this.noVideoElement, this.activityElement, infoElement);
+    preJoinPreview.replaceChildren(this.tileElement);
+  }
+  
+  // The stream is handed over to the meeting, so don't stop its tracks
+  remove() {
+    this.stopActivityDetection();
+    this.tileElement.remove();
+  }
+}
+
 // Update video grid layout based on participant count with new UI classes
 function updateGridLayout() {
-  const count = participants.size;
+  const count = Array.from(participants.values()).filter(participant => !participant.isViewer).length;
   
   // Remove all layout classes
   videoGrid.className = 'video-grid';
   
   // Apply appropriate layout class based on new UI system
-  if (count === 0) {
+  if (presenterId && participants.has(presenterId) && count > 1) {
+    // Pin shared content in a large presenter tile
+    videoGrid.classList.add('presenter');
+  } else if (count === 0) {
     // No special class needed for empty grid
   } else if (count === 1) {
     videoGrid.classList.add('single');
@@ -521,9 +1090,16 @@ function updateGridLayout() {
   }
   // For more than 9, we rely on the default grid behavior
   
+  participants.forEach((participant, participantId) => {
+    participant.tileElement.classList.toggle('presenter-tile', participantId === presenterId);
+  });
+  
   // Update participant count display
   participantCount.textContent = `${count} participant${count !== 1 ? 's' : ''}`;
   
+  // Keep the chat recipient list in sync with who is here
+  updateChatRecipients();
+  
   // Apply active speaker highlighting
   updateActiveSpeakerLayout();
   
@@ -617,6 +1193,9 @@ async function optimizeBandwidthForParticipant(participantId, isActiveSpeaker) {
   const pc = peerConnections.get(participantId);
   if (!pc || !isAdaptiveMode) return;
   
+  // Constrained links are left to per-peer adaptation
+  if (getPeerQuality(participantId) !== 'HIGH') return;
+  
   const sender = pc.getSenders().find(s => s.track && s.track.kind === 'video');
   if (!sender || !sender.track) return;
   
@@ -735,16 +1314,14 @@ async function diagnoseAudioIssues() {
 }
 
 async function monitorNetworkQuality() {
-  // Skip monitoring during initial connection phase
-  if (initialConnectionPhase && connectionStartTime && (Date.now() - connectionStartTime) > 10000) {
-    initialConnectionPhase = false;
-    console.log('🎯 Network adaptation enabled after initial connection phase');
+  if (networkSimulation && networkSimulation.isFinished()) {
+    finishNetworkSimulation();
   }
   
-  for (const [peerId, pc] of peerConnections) {
+  for (const [peerId, pc] of getMonitoredLinks()) {
     try {
-      const stats = await pc.getStats();
-      const networkMetrics = analyzeStats(stats, peerId);
+      const stats = networkSimulation ? networkSimulation.getStats(peerId) : await pc.getStats();
+      const networkMetrics = analyzeStats(stats, peerId, networkStats.get(peerId));
       
       if (networkMetrics) {
         networkStats.set(peerId, networkMetrics);
@@ -759,425 +1336,443 @@ async function monitorNetworkQuality() {
     await adaptToNetworkConditions();
   }
   
+  // Indicators show each link's current tier
+  networkStats.forEach((metrics, peerId) => {
+    metrics.quality = adaptation.getQuality(peerId);
+  });
+  
   updateNetworkIndicators();
 }
 
-function analyzeStats(stats, peerId) {
-  let outboundVideo = null;
-  let outboundAudio = null;
-  let inboundVideo = null;
-  let inboundAudio = null;
-  let candidate = null;
-  let remoteInboundVideo = null;
-  let remoteInboundAudio = null;
-  
-  stats.forEach(report => {
-    if (report.type === 'outbound-rtp' && report.mediaType === 'video') {
-      outboundVideo = report;
-    } else if (report.type === 'outbound-rtp' && report.mediaType === 'audio') {
-      outboundAudio = report;
-    } else if (report.type === 'inbound-rtp' && report.mediaType === 'video') {
-      inboundVideo = report;
-    } else if (report.type === 'inbound-rtp' && report.mediaType === 'audio') {
-      inboundAudio = report;
-    } else if (report.type === 'remote-inbound-rtp' && report.mediaType === 'video') {
-      remoteInboundVideo = report;
-    } else if (report.type === 'remote-inbound-rtp' && report.mediaType === 'audio') {
-      remoteInboundAudio = report;
-    } else if (report.type === 'candidate-pair' && report.selected) {
-      candidate = report;
-    }
-  });
+function requestSimulcastLayer(quality) {
+  if (quality === sfuReceiveQuality) return;
   
-  if (!outboundVideo && !outboundAudio && !inboundVideo && !inboundAudio) return null;
+  console.log(`📡 Asking the SFU for ${quality} video (was ${sfuReceiveQuality})`);
+  sfuReceiveQuality = quality;
+  sendSignal({ type: 'sfu-layer', quality });
   
-  const now = Date.now();
-  const previousStats = networkStats.get(peerId);
-  
-  let metrics = {
-    timestamp: now,
-    videoBitrate: 0,
-    audioBitrate: 0,
-    videoPacketLoss: 0,
-    audioPacketLoss: 0,
-    audioStats: {
-      outbound: {
-        enabled: false,
-        muted: false,
-        packetsSent: 0,
-        bytesSent: 0
-      },
-      inbound: {
-        enabled: false,
-        muted: false,
-        packetsReceived: 0,
-        bytesReceived: 0,
-        packetsLost: 0,
-        jitter: 0
-      }
-    },
-    rtt: 0,
-    jitter: 0,
-    quality: 'HIGH'
-  };
+  // Every tile arrives over the same downlink, so they all share its tier
+  participants.forEach(participant => participant.setLinkQuality(quality));
+  updateVideoDisplayForAudioOnly();
+}
+
+// Each peer connection adapts on its own, so one bad link no longer takes video away from everyone.
+// The engine in adaptation.js smooths the samples and applies the server's policy.
+async function adaptToNetworkConditions() {
+  if (!localStream || !isAdaptiveMode) return;
   
-  // Calculate video metrics
-  if (outboundVideo && previousStats && previousStats.outboundVideo) {
-    const timeDelta = (now - previousStats.timestamp) / 1000;
-    const bytesDelta = outboundVideo.bytesSent - previousStats.outboundVideo.bytesSent;
-    metrics.videoBitrate = (bytesDelta * 8) / timeDelta; // bits per second
+  for (const [peerId, metrics] of networkStats) {
+    if (!peerConnections.has(peerId) && peerId !== SIMULATED_PEER_ID) continue;
     
-    const packetsDelta = outboundVideo.packetsSent - previousStats.outboundVideo.packetsSent;
-    const packetsLostDelta = (outboundVideo.packetsLost || 0) - (previousStats.outboundVideo.packetsLost || 0);
-    
-    // Be more careful with packet loss calculation - avoid division by zero or negative values
-    if (packetsDelta > 0 && packetsLostDelta >= 0) {
-      metrics.videoPacketLoss = Math.min(100, (packetsLostDelta / packetsDelta) * 100);
-    } else {
-      metrics.videoPacketLoss = 0;
+    const sample = { loss: Math.max(metrics.videoPacketLoss, metrics.audioPacketLoss), rtt: metrics.rtt };
+    const decision = adaptation.update(peerId, sample);
+    if (decision && decision.type === 'probe') {
+      // Runs alongside the next samples; the engine holds this link until it reports back
+      probeLink(peerId, decision);
+    } else if (decision) {
+      logAdaptationDecision(decision);
+      await applyPeerQuality(peerId);
     }
   }
   
-  // Calculate audio metrics
-  if (outboundAudio && previousStats && previousStats.outboundAudio) {
-    const timeDelta = (now - previousStats.timestamp) / 1000;
-    const bytesDelta = outboundAudio.bytesSent - previousStats.outboundAudio.bytesSent;
-    metrics.audioBitrate = (bytesDelta * 8) / timeDelta;
-    
-    const packetsDelta = outboundAudio.packetsSent - previousStats.outboundAudio.packetsSent;
-    
-    // Audio outbound stats for asymmetric debugging
-    metrics.audioStats.outbound = {
-      enabled: true,
-      muted: false,
-      packetsSent: outboundAudio.packetsSent,
-      bytesSent: outboundAudio.bytesSent,
-      bitrate: metrics.audioBitrate
-    };
-    
-    console.log(`🎤 Audio outbound to ${peerId}:`, {
-      bitrate: Math.round(metrics.audioBitrate),
-      packetsSent: outboundAudio.packetsSent,
-      bytesSent: outboundAudio.bytesSent
-    });
-    const packetsLostDelta = (outboundAudio.packetsLost || 0) - (previousStats.outboundAudio.packetsLost || 0);
-    
-    // Be more careful with packet loss calculation
-    if (packetsDelta > 0 && packetsLostDelta >= 0) {
-      metrics.audioPacketLoss = Math.min(100, (packetsLostDelta / packetsDelta) * 100);
-    } else {
-      metrics.audioPacketLoss = 0;
+  // In SFU rooms our downlink decides which simulcast layer we receive
+  const sfuMetrics = networkStats.get(SFU_PEER_ID);
+  if (roomMode === 'sfu' && sfuMetrics) {
+    const sample = { loss: Math.max(sfuMetrics.inboundVideoPacketLoss, sfuMetrics.audioPacketLoss), rtt: sfuMetrics.rtt };
+    const decision = adaptation.update(SFU_DOWNLINK_ID, sample);
+    if (decision && decision.type === 'probe') {
+      await probeSfuDownlink(decision);
+    } else if (decision) {
+      logAdaptationDecision(decision);
     }
+    requestSimulcastLayer(adaptation.getQuality(SFU_DOWNLINK_ID));
   }
+}
+
+function logAdaptationDecision(decision) {
+  const label = decision.linkId === SFU_DOWNLINK_ID ? 'Media server (receiving)' : getPeerLabel(decision.linkId);
+  console.log(`🔄 Network adaptation for ${label}: ${decision.from} → ${decision.to} (${decision.reason})`, decision.metrics || '');
+}
+
+// Bandwidth probe before an upgrade: send at the target tier's rate for a few seconds and
+// check that the transport carried it. Links already sending video raise the sender's
+// bitrate (which also makes the browser probe its estimate); audio-only links pad a data channel.
+async function probeLink(peerId, request) {
+  const pc = peerConnections.get(peerId);
+  const method = pc && pc.sctp && request.from === 'AUDIO_ONLY' ? 'padding' : 'bitrate';
+  console.log(`🔬 Probing ${getPeerLabel(peerId)} for ${request.to}: ${Math.round(request.bitrate / 1000)}kbps for ${request.durationMs / 1000}s (${method})`);
   
-  // Calculate inbound audio metrics for asymmetric debugging
-  if (inboundAudio) {
-    metrics.audioStats.inbound = {
-      enabled: true,
-      muted: false,
-      packetsReceived: inboundAudio.packetsReceived || 0,
-      bytesReceived: inboundAudio.bytesReceived || 0,
-      packetsLost: inboundAudio.packetsLost || 0,
-      jitter: inboundAudio.jitter || 0
-    };
+  let result;
+  let stopPadding = null;
+  try {
+    const before = await getTransportStats(pc, peerId);
+    if (method === 'padding') {
+      stopPadding = startProbePadding(pc, request.bitrate);
+    } else if (pc) {
+      await adjustVideoQuality(request.to, getSenderByKind(pc, 'video'));
+    }
+    await new Promise(resolve => setTimeout(resolve, request.durationMs));
     
-    console.log(`🔊 Audio inbound from ${peerId}:`, {
-      packetsReceived: inboundAudio.packetsReceived || 0,
-      bytesReceived: inboundAudio.bytesReceived || 0,
-      packetsLost: inboundAudio.packetsLost || 0,
-      jitter: inboundAudio.jitter || 0
-    });
+    // A connection replaced mid-probe says nothing about the new one
+    if (peerConnections.get(peerId) !== pc) throw new Error('connection replaced');
+    result = evaluateProbe(before, await getTransportStats(pc, peerId), request);
+  } catch (error) {
+    result = { success: false, measured: 0, error: error.message };
+  } finally {
+    if (stopPadding) stopPadding();
   }
+  result.method = method;
   
-  // Try to get RTT from multiple sources
-  if (candidate && candidate.currentRoundTripTime) {
-    metrics.rtt = candidate.currentRoundTripTime * 1000; // Convert to ms
-  } else if (remoteInboundVideo && remoteInboundVideo.roundTripTime) {
-    metrics.rtt = remoteInboundVideo.roundTripTime * 1000;
-  } else if (remoteInboundAudio && remoteInboundAudio.roundTripTime) {
-    metrics.rtt = remoteInboundAudio.roundTripTime * 1000;
-  }
-  
-  // Try to get packet loss from multiple sources - be more careful about calculations
-  let videoPacketLossFromRemote = 0;
-  let audioPacketLossFromRemote = 0;
-  let hasRemoteInboundStats = false;
-  
-  if (remoteInboundVideo) {
-    const packetsLost = remoteInboundVideo.packetsLost || 0;
-    // Try different field names for packets received
-    const packetsReceived = remoteInboundVideo.packetsReceived || 
-                          remoteInboundVideo.packetsRecieved || // Common typo in some implementations
-                          0;
-    
-    if (packetsReceived > 0 || packetsLost > 0) {
-      const totalPackets = packetsLost + packetsReceived;
-      if (totalPackets > 0) {
-        videoPacketLossFromRemote = (packetsLost / totalPackets) * 100;
-        hasRemoteInboundStats = true;
-      }
-    }
+  console.log(`🔬 Probe of ${getPeerLabel(peerId)} for ${request.to} ${result.success ? 'passed' : 'failed'}: ${Math.round(result.measured / 1000)}/${Math.round(request.bitrate / 1000)}kbps`);
+  const decision = adaptation.finishProbe(peerId, result);
+  if (decision) {
+    logAdaptationDecision(decision);
   }
+  // Commits the upgrade, or puts a bitrate-probed sender back on its tier
+  await applyPeerQuality(peerId);
+}
+
+// The SFU can't be asked to pad, so downlink upgrades use the browser's receive estimate when it reports one
+async function probeSfuDownlink(request) {
+  const transport = await getTransportStats(peerConnections.get(SFU_PEER_ID), SFU_PEER_ID);
+  const estimate = transport && transport.availableIncomingBitrate;
+  const result = estimate
+    ? { success: estimate >= request.bitrate, measured: estimate, method: 'estimate' }
+    : { success: true, measured: 0, method: 'unmeasured' };
   
-  if (remoteInboundAudio) {
-    const packetsLost = remoteInboundAudio.packetsLost || 0;
-    const packetsReceived = remoteInboundAudio.packetsReceived || 
-                          remoteInboundAudio.packetsRecieved || 
-                          0;
-                          
-    if (packetsReceived > 0 || packetsLost > 0) {
-      const totalPackets = packetsLost + packetsReceived;
-      if (totalPackets > 0) {
-        audioPacketLossFromRemote = (packetsLost / totalPackets) * 100;
-        hasRemoteInboundStats = true;
-      }
-    }
+  const decision = adaptation.finishProbe(SFU_DOWNLINK_ID, result);
+  if (decision) {
+    logAdaptationDecision(decision);
   }
+}
+
+// Unordered, unreliable filler so padding never queues behind or delays real messages
+function startProbePadding(pc, bitrate) {
+  const channel = pc.createDataChannel('probe', { ordered: false, maxRetransmits: 0 });
+  const chunk = new Uint8Array(PROBE_CHUNK_SIZE);
+  const bytesPerTick = bitrate / 8 / 10;
   
-  // Use remote stats if available, otherwise fall back to outbound stats
-  if (hasRemoteInboundStats) {
-    // Only use remote stats if they seem reasonable
-    if (videoPacketLossFromRemote < 100) {
-      metrics.videoPacketLoss = videoPacketLossFromRemote;
+  const interval = setInterval(() => {
+    if (channel.readyState !== 'open') return;
+    for (let sent = 0; sent < bytesPerTick && channel.bufferedAmount < FILE_BUFFER_LOW_WATER; sent += chunk.byteLength) {
+      channel.send(chunk);
     }
-    if (audioPacketLossFromRemote < 100) {
-      metrics.audioPacketLoss = audioPacketLossFromRemote;
-    }
-  }
+  }, 100);
   
-  // Additional fallback: use inbound stats for packet loss if available
-  if ((metrics.videoPacketLoss >= 100 || metrics.audioPacketLoss >= 100) && inboundVideo) {
-    // For inbound stats, packetsLost and packetsReceived should be total counts
-    const packetsLost = inboundVideo.packetsLost || 0;
-    const packetsReceived = inboundVideo.packetsReceived || 0;
-    const totalPackets = packetsLost + packetsReceived;
-    
-    if (totalPackets > 100) { // Only use if we have a reasonable sample size
-      metrics.videoPacketLoss = (packetsLost / totalPackets) * 100;
+  return () => {
+    clearInterval(interval);
+    channel.close();
+  };
+}
+
+// Selected candidate pair: bytes on the wire plus the congestion controller's estimates
+async function getTransportStats(pc, peerId) {
+  const stats = networkSimulation ? networkSimulation.getStats(peerId) : pc && await pc.getStats();
+  if (!stats) return null;
+
+  let selectedPairId = null;
+  stats.forEach((report) => {
+    if (report.type === 'transport' && report.selectedCandidatePairId) {
+      selectedPairId = report.selectedCandidatePairId;
     }
-  }
+  });
   
-  if ((metrics.audioPacketLoss >= 100) && inboundAudio) {
-    const packetsLost = inboundAudio.packetsLost || 0;
-    const packetsReceived = inboundAudio.packetsReceived || 0;
-    const totalPackets = packetsLost + packetsReceived;
-    
-    if (totalPackets > 100) { // Only use if we have a reasonable sample size
-      metrics.audioPacketLoss = (packetsLost / totalPackets) * 100;
+  let pair = null;
+  stats.forEach((report) => {
+    if (report.type !== 'candidate-pair') return;
+    if (selectedPairId ? report.id === selectedPairId : report.selected || (report.nominated && report.state === 'succeeded')) {
+      pair = report;
     }
-  }
-  
-  // Final safety check - cap packet loss at reasonable values
-  metrics.videoPacketLoss = Math.min(50, Math.max(0, metrics.videoPacketLoss));
-  metrics.audioPacketLoss = Math.min(50, Math.max(0, metrics.audioPacketLoss));
-  // If no remote stats available, the outbound calculation from earlier will be used
+  });
+  if (!pair) return null;
   
-  // Debug logging for packet loss issues (temporary)
-  if (metrics.videoPacketLoss > 50 || metrics.audioPacketLoss > 50) {
-    console.log(`🐛 High packet loss detected for ${peerId}:`, {
-      videoLoss: metrics.videoPacketLoss.toFixed(1),
-      audioLoss: metrics.audioPacketLoss.toFixed(1),
-      hasRemoteStats: hasRemoteInboundStats,
-      remoteVideoStats: remoteInboundVideo ? {
-        packetsLost: remoteInboundVideo.packetsLost,
-        packetsReceived: remoteInboundVideo.packetsReceived
-      } : null,
-      outboundVideoStats: outboundVideo ? {
-        packetsSent: outboundVideo.packetsSent,
-        packetsLost: outboundVideo.packetsLost
-      } : null
-    });
+  return {
+    timestamp: pair.timestamp,
+    bytesSent: pair.bytesSent || 0,
+    availableOutgoingBitrate: pair.availableOutgoingBitrate || 0,
+    availableIncomingBitrate: pair.availableIncomingBitrate || 0,
+    rtt: (pair.currentRoundTripTime || 0) * 1000
+  };
+}
+
+// Either the estimate or the rate we actually got through counts, as long as RTT held up
+function evaluateProbe(before, after, request) {
+  if (!before || !after) {
+    return { success: false, measured: 0, error: 'no candidate pair stats' };
   }
   
-  if (inboundAudio) {
-    metrics.jitter = inboundAudio.jitter || 0;
-  }
-  
-  // Determine overall network quality with audio-only fallback for severe conditions
-  const totalBitrate = metrics.videoBitrate + metrics.audioBitrate;
-  const totalPacketLoss = Math.max(metrics.videoPacketLoss, metrics.audioPacketLoss);
+  const seconds = (after.timestamp - before.timestamp) / 1000;
+  const throughput = seconds > 0 ? ((after.bytesSent - before.bytesSent) * 8) / seconds : 0;
+  const measured = Math.max(after.availableOutgoingBitrate, throughput);
+  const rttLimit = adaptation.policy.tiers[request.to].exit.rtt;
   
-  // Don't adapt during initial connection phase (first 10 seconds)
-  if (initialConnectionPhase) {
-    metrics.quality = 'HIGH';
-  } else {
-    // Enhanced thresholds - be smarter about audio-only decisions
-    
-    // For AUDIO_ONLY decisions, focus on connection quality (RTT/packet loss) not bitrate
-    // because low bitrate might be due to being in audio-only mode already
-    if (metrics.rtt > 500 || totalPacketLoss > 15) {
-      // Very poor connection quality: fallback to audio-only
-      metrics.quality = 'AUDIO_ONLY';
-      console.log(`📶 Network severely degraded for ${peerId}: rtt=${Math.round(metrics.rtt)}ms, loss=${totalPacketLoss.toFixed(1)}% - switching to audio-only`);
-    } else if (totalPacketLoss > 8 || metrics.rtt > 400 || (totalBitrate < BANDWIDTH_THRESHOLDS.LOW && totalBitrate > 60000)) {
-      // Poor conditions: low quality video (only consider low bitrate if it's above audio-only range)
-      metrics.quality = 'LOW';
-    } else if (totalPacketLoss > 3 || metrics.rtt > 200 || (totalBitrate < BANDWIDTH_THRESHOLDS.MEDIUM && totalBitrate > 60000)) {
-      // Moderate conditions: medium quality video (only consider low bitrate if it's above audio-only range)
-      metrics.quality = 'MEDIUM';
-    } else if (totalPacketLoss < 2 && metrics.rtt < 150) {
-      // Good connection quality: allow high quality video
-      metrics.quality = 'HIGH';
-    } else {
-      // Default to medium for uncertain conditions
-      metrics.quality = 'MEDIUM';
-    }
+  return {
+    success: measured >= request.bitrate && after.rtt <= rttLimit,
+    measured,
+    throughput,
+    estimate: after.availableOutgoingBitrate,
+    rtt: after.rtt
+  };
+}
+
+// Replay a scripted scenario through the real stats pipeline in place of pc.getStats().
+// Resolves with the run's report once the scenario ends or is stopped.
+function startNetworkSimulation(name) {
+  if (!localStream) {
+    console.warn('🧪 Join a meeting before running a network simulation');
+    return null;
+  }
+  if (networkSimulation) {
+    finishNetworkSimulation();
   }
   
-  // Store raw stats for next comparison
-  metrics.outboundVideo = outboundVideo;
-  metrics.outboundAudio = outboundAudio;
-  metrics.remoteInboundVideo = remoteInboundVideo;
-  metrics.remoteInboundAudio = remoteInboundAudio;
+  networkSimulation = new NetworkSimulator(name);
+  simulationTiers = new Map(Array.from(peerConnections.keys(), peerId => [peerId, adaptation.getQuality(peerId)]));
+  simulationTiers.set(SFU_DOWNLINK_ID, adaptation.getQuality(SFU_DOWNLINK_ID));
+  // Real and synthetic counters can't be diffed against each other
+  networkStats.clear();
+  simulationSelect.value = name;
+  console.log(`🧪 Simulating "${name}" for ${networkSimulation.scenario.durationMs / 1000}s: ${networkSimulation.scenario.description}`);
   
-  return metrics;
+  return new Promise((resolve) => {
+    resolveNetworkSimulation = resolve;
+  });
 }
 
-async function adaptToNetworkConditions() {
-  if (!localStream || !isAdaptiveMode) return;
+function finishNetworkSimulation() {
+  const simulation = networkSimulation;
+  if (!simulation) return null;
   
-  // Calculate overall network quality from all peers
-  let totalBitrate = 0;
-  let maxPacketLoss = 0;
-  let maxRtt = 0;
-  let peerCount = 0;
-  let worstQuality = 'HIGH';
+  networkSimulation = null;
+  networkStats.clear();
+  simulationSelect.value = '';
   
-  networkStats.forEach((metrics, peerId) => {
-    totalBitrate += metrics.videoBitrate + metrics.audioBitrate;
-    maxPacketLoss = Math.max(maxPacketLoss, Math.max(metrics.videoPacketLoss, metrics.audioPacketLoss));
-    maxRtt = Math.max(maxRtt, metrics.rtt);
-    peerCount++;
-    
-    // Update worst quality including AUDIO_ONLY
-    if (metrics.quality === 'AUDIO_ONLY') worstQuality = 'AUDIO_ONLY';
-    else if (metrics.quality === 'LOW' && worstQuality !== 'AUDIO_ONLY') worstQuality = 'LOW';
-    else if (metrics.quality === 'MEDIUM' && worstQuality === 'HIGH') worstQuality = 'MEDIUM';
-  });
+  const report = buildSimulationReport(simulation);
+  restoreSimulatedLinks();
+  console.log(`🧪 Simulation "${simulation.name}" ${report.completed ? 'finished' : 'stopped'} after ${report.durationSeconds}s with ${report.transitions.length} transition(s)`);
+  if (report.transitions.length > 0) {
+    console.table(report.transitions);
+  }
   
-  if (peerCount === 0) return;
+  if (resolveNetworkSimulation) {
+    resolveNetworkSimulation(report);
+    resolveNetworkSimulation = null;
+  }
+  return report;
+}
+
+// Real links go back to their tier from before the run, with smoothing rebuilt from real samples;
+// otherwise dwell times and probes would keep them on whatever the scenario pushed them to
+function restoreSimulatedLinks() {
+  const tiers = simulationTiers || new Map();
+  simulationTiers = null;
+  adaptation.reset(SIMULATED_PEER_ID);
   
-  // Determine target quality based on network conditions
-  let targetQuality = currentVideoQuality;
+  for (const peerId of peerConnections.keys()) {
+    adaptation.reset(peerId);
+    setPeerQuality(peerId, tiers.get(peerId) || 'HIGH', 'network simulation ended');
+  }
   
-  // Enhanced adaptation logic with smarter audio-only recovery
-  if (worstQuality === 'AUDIO_ONLY' || maxPacketLoss > 15 || maxRtt > 3000) {
-  // 🚨 Severe network issues -> force audio-only
-  targetQuality = 'AUDIO_ONLY';
+  adaptation.reset(SFU_DOWNLINK_ID);
+  if (roomMode === 'sfu') {
+    const quality = tiers.get(SFU_DOWNLINK_ID) || 'HIGH';
+    adaptation.setQuality(SFU_DOWNLINK_ID, quality, 'network simulation ended');
+    requestSimulcastLayer(quality);
+  }
+}
 
-} else if (currentVideoQuality === 'AUDIO_ONLY' && maxPacketLoss <= 10 && maxRtt <= 1000) {
-  // ✅ Recovery from audio-only: if connection quality is clearly better, upgrade slowly
-  targetQuality = 'LOW';
+// Which tier changes (and probes) happened, seconds into the run, with the simulated conditions at the time
+function buildSimulationReport(simulation) {
+  const secondsIn = time => Math.round((time - simulation.startedAt) / 1000);
+  const conditionsAt = (time) => {
+    const { rtt, loss, bitrate } = simulation.getConditions(time);
+    return `rtt ${Math.round(rtt)}ms, loss ${loss}%, ${Math.round(bitrate / 1000)}kbps`;
+  };
+  
+  return {
+    scenario: simulation.name,
+    completed: simulation.isFinished(),
+    durationSeconds: secondsIn(Math.min(Date.now(), simulation.startedAt + simulation.scenario.durationMs)),
+    transitions: adaptation.getLog()
+      .filter(decision => decision.time >= simulation.startedAt)
+      .map(decision => ({
+        atSeconds: secondsIn(decision.time),
+        link: decision.linkId === SFU_DOWNLINK_ID ? 'Receiving' : getPeerLabel(decision.linkId),
+        from: decision.from,
+        to: decision.to,
+        reason: decision.reason,
+        conditions: conditionsAt(decision.time)
+      })),
+    probes: adaptation.getProbes()
+      .filter(probe => probe.time >= simulation.startedAt)
+      .map(probe => ({
+        atSeconds: secondsIn(probe.time),
+        link: probe.linkId === SFU_DOWNLINK_ID ? 'Receiving' : getPeerLabel(probe.linkId),
+        to: probe.to,
+        success: probe.success,
+        measured: Math.round(probe.measured || 0),
+        required: probe.required
+      }))
+  };
+}
 
-} else if (worstQuality === 'LOW' || (maxPacketLoss > 8 || maxRtt > 500)) {
-  // ⚠️ Poor conditions but not severe enough for audio-only
-  if (currentVideoQuality !== 'AUDIO_ONLY') {
-    targetQuality = 'LOW';
+// A simulation with nobody else in the call runs on a stand-in link
+function getMonitoredLinks() {
+  if (networkSimulation && peerConnections.size === 0) {
+    return [[SIMULATED_PEER_ID, null]];
   }
+  return Array.from(peerConnections);
+}
 
-} else if (worstQuality === 'MEDIUM' || (maxPacketLoss > 3 || maxRtt > 200)) {
-  // ➡️ Moderate conditions
-  if (currentVideoQuality === 'HIGH' || currentVideoQuality === 'LOW') {
-    targetQuality = 'MEDIUM';
+// Quality of our video link with a participant: what we send them in mesh rooms,
+// or the simulcast layer the SFU forwards to us
+function getPeerQuality(peerId) {
+  if (roomMode === 'sfu') {
+    return sfuReceiveQuality;
   }
+  return adaptation.getQuality(peerId);
+}
 
-} else if ((worstQuality === 'HIGH' || currentVideoQuality !== 'HIGH') 
-           && maxPacketLoss < 2 && maxRtt < 150) {
-  // 🌟 Good conditions - can upgrade to high
-  targetQuality = 'HIGH';
+// Force a link onto a tier, e.g. when adaptation is switched off
+async function setPeerQuality(peerId, quality, reason) {
+  const decision = adaptation.setQuality(peerId, quality, reason);
+  if (decision) {
+    logAdaptationDecision(decision);
+  }
+  await applyPeerQuality(peerId);
 }
 
+// Push a link's tier to its video sender and the UI
+async function applyPeerQuality(peerId) {
+  const quality = adaptation.getQuality(peerId);
+  const pc = peerConnections.get(peerId);
+  if (pc) {
+    await adjustVideoQuality(quality, getSenderByKind(pc, 'video'));
+  }
   
-  // Only change quality if it's different from current
-  if (targetQuality !== currentVideoQuality) {
-    console.log(`🔄 Network adaptation: ${currentVideoQuality} → ${targetQuality} (peers: ${peerCount}, loss: ${maxPacketLoss.toFixed(1)}%, rtt: ${Math.round(maxRtt)}ms, bitrate: ${Math.round(totalBitrate/1000)}kbps)`);
-    await adjustVideoQualityForAllPeers(targetQuality);
+  updateCurrentVideoQuality();
+  const participant = participants.get(peerId);
+  if (participant) {
+    participant.setLinkQuality(getPeerQuality(peerId));
   }
+  updateVideoDisplayForAudioOnly();
 }
 
-async function adjustVideoQualityForAllPeers(quality) {
-  // Apply video quality changes to all peer connections
-  const videoSenders = [];
-  
-  peerConnections.forEach((pc, peerId) => {
-    const sender = pc.getSenders().find(s => s.track && s.track.kind === 'video');
-    if (sender && sender.track) {
-      videoSenders.push({ sender, peerId });
-    }
-  });
-  
-  // Adjust all video senders
-  for (const { sender, peerId } of videoSenders) {
-    try {
-      await adjustVideoQuality(quality, sender);
-    } catch (error) {
-      console.error(`Error adjusting video quality for ${peerId}:`, error);
-    }
+// A fresh connection starts at full quality
+function resetPeerQuality(peerId) {
+  adaptation.reset(peerId);
+  updateCurrentVideoQuality();
+  const participant = participants.get(peerId);
+  if (participant) {
+    participant.setLinkQuality(getPeerQuality(peerId));
+  }
+}
+
+// Summary for the global indicator: the best tier we're sending to anyone
+function updateCurrentVideoQuality() {
+  const tiers = Array.from(peerConnections.keys(), peerId => QUALITY_ORDER.indexOf(adaptation.getQuality(peerId)));
+  currentVideoQuality = tiers.length > 0 ? QUALITY_ORDER[Math.max(...tiers)] : 'HIGH';
+}
+
+async function adjustVideoQualityForAllPeers(quality, reason) {
+  for (const peerId of peerConnections.keys()) {
+    await setPeerQuality(peerId, quality, reason);
+  }
+}
+
+// Screen share and camera switches change the track, so re-apply each link's tier to its sender
+async function reapplyVideoQualities() {
+  for (const [peerId, pc] of peerConnections) {
+    await adjustVideoQuality(adaptation.getQuality(peerId), getSenderByKind(pc, 'video'));
   }
 }
 
+// Apply a tier to one peer's video sender; the shared capture track is never touched
 async function adjustVideoQuality(quality, sender) {
   if (!sender || !sender.track) return;
   
   try {
+    const params = sender.getParameters();
+    if (!params.encodings || params.encodings.length === 0) return;
+    
+    const isScreenTrack = Boolean(screenStream) && sender.track === screenStream.getVideoTracks()[0];
+    
     if (quality === 'AUDIO_ONLY') {
-      // Disable video transmission but keep local video display
-      sender.track.enabled = false;
-      console.log('📹 Switched to audio-only mode - disabling video transmission');
-      currentVideoQuality = 'AUDIO_ONLY';
-      
-      // Update UI to show audio-only state while preserving local video
-      updateVideoDisplayForAudioOnly(true);
-      
+      // Stop sending video on this link only; local preview and other peers are unaffected
+      params.encodings.forEach((encoding) => { encoding.active = false; });
+      await sender.setParameters(params);
+      console.log('📹 Switched link to audio-only - video transmission paused');
+      return;
+    }
+    
+    if (params.encodings.length > 1) {
+      // Simulcast senders switch layers off instead of re-encoding
+      applySimulcastQuality(params, quality, isScreenTrack);
     } else {
-      // Enable video and apply constraints
-      sender.track.enabled = !isCameraOff; // Respect user's camera setting
-      
+      const encoding = params.encodings[0];
       const constraints = VIDEO_CONSTRAINTS[quality];
-      const track = sender.track;
-      
-      await track.applyConstraints({
-        width: { ideal: constraints.width },
-        height: { ideal: constraints.height },
-        frameRate: { ideal: constraints.frameRate }
-      });
+      encoding.active = true;
       
-      // Adjust encoding parameters
-      const params = sender.getParameters();
-      if (params.encodings && params.encodings[0]) {
-        switch (quality) {
-          case 'LOW':
-            params.encodings[0].maxBitrate = 200000; // 200 kbps
-            params.encodings[0].priority = 'low';
-            break;
-          case 'MEDIUM':
-            params.encodings[0].maxBitrate = 600000; // 600 kbps
-            params.encodings[0].priority = 'medium';
-            break;
-          case 'HIGH':
-            params.encodings[0].maxBitrate = 1200000; // 1.2 Mbps
-            params.encodings[0].priority = 'high';
-            break;
-        }
-        await sender.setParameters(params);
+      switch (quality) {
+        case 'LOW':
+          encoding.maxBitrate = 200000; // 200 kbps
+          encoding.priority = 'low';
+          break;
+        case 'MEDIUM':
+          encoding.maxBitrate = 600000; // 600 kbps
+          encoding.priority = 'medium';
+          break;
+        case 'HIGH':
+          encoding.maxBitrate = 1200000; // 1.2 Mbps
+          encoding.priority = 'high';
+          break;
       }
       
-      console.log(`📹 Adjusted video quality to ${quality}`);
-      currentVideoQuality = quality;
-      
-      // Restore normal video display
-      updateVideoDisplayForAudioOnly(false);
+      if (isScreenTrack) {
+        // Favour resolution over frame rate so shared text stays readable
+        encoding.scaleResolutionDownBy = 1;
+        encoding.maxFramerate = SCREEN_SHARE_FRAME_RATES[quality];
+        params.degradationPreference = 'maintain-resolution';
+      } else {
+        // The camera is captured at HIGH; scale down in the encoder for this peer
+        encoding.scaleResolutionDownBy = VIDEO_CONSTRAINTS.HIGH.width / constraints.width;
+        encoding.maxFramerate = constraints.frameRate;
+        params.degradationPreference = 'balanced';
+      }
     }
+    
+    await sender.setParameters(params);
+    console.log(`📹 Adjusted video quality to ${quality}`);
   } catch (error) {
     console.error('Error adjusting video quality:', error);
   }
 }
 
+// Send only the layers our uplink can carry; a shared screen keeps full resolution on every layer
+function applySimulcastQuality(params, quality, isScreenTrack) {
+  const highestLayer = QUALITY_ORDER.indexOf(quality);
+  
+  params.encodings.forEach((encoding) => {
+    const layer = SIMULCAST_LAYERS.find(candidate => candidate.rid === encoding.rid);
+    if (!layer) return;
+    
+    encoding.active = QUALITY_ORDER.indexOf(layer.quality) <= highestLayer;
+    encoding.scaleResolutionDownBy = isScreenTrack ? 1 : layer.scaleResolutionDownBy;
+    encoding.maxFramerate = isScreenTrack ? SCREEN_SHARE_FRAME_RATES[layer.quality] : layer.maxFramerate;
+  });
+  params.degradationPreference = isScreenTrack ? 'maintain-resolution' : 'balanced';
+}
+
 // Update video display for audio-only mode
-function updateVideoDisplayForAudioOnly(isAudioOnly) {
+function updateVideoDisplayForAudioOnly() {
   participants.forEach((participant, participantId) => {
     if (!participant.tileElement) return;
     
+    // Local video is "not transmitting" only once every link is audio-only
+    const isAudioOnly = participantId === 'local'
+      ? currentVideoQuality === 'AUDIO_ONLY' && peerConnections.size > 0
+      : getPeerQuality(participantId) === 'AUDIO_ONLY';
+    
     const videoElement = participant.tileElement.querySelector('.participant-video');
     const noVideoElement = participant.tileElement.querySelector('.no-video');
     const infoElement = participant.tileElement.querySelector('.participant-info');
@@ -1185,8 +1780,8 @@ function updateVideoDisplayForAudioOnly(isAudioOnly) {
     if (participantId === 'local') {
       console.log(`🎥 Updating local video display - Audio Only: ${isAudioOnly}, Camera Off: ${isCameraOff}, Has Stream: ${!!localStream}, Has Video Tracks: ${localStream ? localStream.getVideoTracks().length : 0}`);
       
-      // Local participant: Always show their own video if camera is on and stream exists
-      if (!isCameraOff && localStream && localStream.getVideoTracks().length > 0) {
+      // Local participant: Always show their own video (or shared screen) if camera is on and stream exists
+      if (screenStream || (!isCameraOff && localStream && localStream.getVideoTracks().length > 0)) {
         // For local display, we want to show video regardless of audio-only mode
         // The video track might be disabled for transmission but should still display locally
         
@@ -1195,11 +1790,14 @@ function updateVideoDisplayForAudioOnly(isAudioOnly) {
         noVideoElement.style.display = 'none';
         
         // Start activity detection for local user since video is visible
-        participant.initActivityDetection();
+        if (!screenStream) {
+          participant.initActivityDetection();
+        }
         
         // Ensure the video element has the stream and try to play it
-        if (videoElement.srcObject !== localStream) {
-          videoElement.srcObject = localStream;
+        const displayStream = screenStream || localStream;
+        if (videoElement.srcObject !== displayStream) {
+          videoElement.srcObject = displayStream;
           videoElement.play().catch(e => console.log('Video play error (usually safe to ignore):', e));
         }
         
@@ -1207,8 +1805,8 @@ function updateVideoDisplayForAudioOnly(isAudioOnly) {
         
         // Add visual indicator that they're in audio-only mode
         if (isAudioOnly) {
-          // Keep normal "You" text - just add subtle audio-only indicator
-          infoElement.textContent = 'You';
+          // Keep normal name text - just add subtle audio-only indicator
+          infoElement.textContent = participant.name;
           infoElement.style.background = 'rgba(0,0,0,0.7)'; // Keep normal background
           
           // Add subtle top-right indicator that video transmission is off
@@ -1234,7 +1832,7 @@ function updateVideoDisplayForAudioOnly(isAudioOnly) {
           }
         } else {
           // Remove audio-only indicators when not in audio-only mode
-          infoElement.textContent = 'You';
+          infoElement.textContent = participant.name;
           infoElement.style.background = 'rgba(0,0,0,0.7)';
           
           const overlay = participant.tileElement.querySelector('.audio-only-overlay');
@@ -1244,7 +1842,7 @@ function updateVideoDisplayForAudioOnly(isAudioOnly) {
         // Camera is off - show no-video placeholder
         videoElement.style.display = 'none';
         noVideoElement.style.display = 'flex';
-        infoElement.textContent = isCameraOff ? 'You (Camera Off)' : 'You';
+        infoElement.textContent = isCameraOff ? `${participant.name} (Camera Off)` : participant.name;
         
         console.log(`🎥 Local video hidden - Camera off: ${isCameraOff}`);
         
@@ -1267,19 +1865,7 @@ function updateVideoDisplayForAudioOnly(isAudioOnly) {
         if (participant.activityElement) {
           participant.updateActivityStatusFromRemote('unknown');
         }
-        noVideoElement.innerHTML = `
-          <div style="
-            display: flex;
-            flex-direction: column;
-            align-items: center;
-            justify-content: center;
-            color: #fff;
-            text-align: center;
-          ">
-            <div style="font-size: 48px; margin-bottom: 10px;">🎵</div>
-            <div style="font-size: 14px;">Audio Only</div>
-          </div>
-        `;
+        participant.renderNoVideo(`🎵 ${participant.name} · Audio Only`);
         infoElement.style.background = 'rgba(255, 152, 0, 0.8)'; // Orange
         
       } else {
@@ -1287,14 +1873,14 @@ function updateVideoDisplayForAudioOnly(isAudioOnly) {
         if (participant.stream && participant.stream.getVideoTracks().length > 0) {
           videoElement.style.display = 'block';
           noVideoElement.style.display = 'none';
-          noVideoElement.innerHTML = '👤'; // Reset to default
+          participant.renderNoVideo(); // Reset to default
           
           // Restart activity detection for remote participants when video is restored
           participant.initActivityDetection();
         } else {
           videoElement.style.display = 'none';
           noVideoElement.style.display = 'flex';
-          noVideoElement.innerHTML = '👤';
+          participant.renderNoVideo();
           
           // Stop activity detection when no video
           participant.stopActivityDetection();
@@ -1346,7 +1932,10 @@ function updateNetworkIndicators() {
   
   // Update video quality indicator if it exists
   if (videoQualityIndicator) {
-    const qualityText = currentVideoQuality === 'AUDIO_ONLY' ? '🎵 Audio Only' : `📹 ${currentVideoQuality}`;
+    const qualities = Array.from(peerConnections.keys(), peerId => QUALITY_ORDER.indexOf(adaptation.getQuality(peerId)));
+    const worstSent = qualities.length > 0 ? QUALITY_ORDER[Math.min(...qualities)] : currentVideoQuality;
+    const range = worstSent !== currentVideoQuality ? `${worstSent}–${currentVideoQuality}` : currentVideoQuality;
+    const qualityText = currentVideoQuality === 'AUDIO_ONLY' ? '🎵 Audio Only' : `📹 ${range}`;
     videoQualityIndicator.textContent = qualityText;
     videoQualityIndicator.style.color = currentVideoQuality === 'AUDIO_ONLY' ? '#ffc107' : '#28a745';
   }
@@ -1379,6 +1968,36 @@ function updateNetworkStats(totalBitrate, avgPacketLoss, avgRtt) {
   const rttText = `RTT: ${Math.round(avgRtt)}ms`;
   const qualityText = `Quality: ${overallQuality}`;
   const adaptiveText = `Adaptive: ${isAdaptiveMode ? 'ON' : 'OFF'}`;
+  const layerText = roomMode === 'sfu' ? [`Receiving: ${sfuReceiveQuality}`] : [];
+  const simulationText = networkSimulation
+    ? [`🧪 Simulating ${networkSimulation.name}: ${Math.round(networkSimulation.getElapsed() / 1000)}/${networkSimulation.scenario.durationMs / 1000}s`]
+    : [];
+  
+  // Per-participant quality by display name
+  const peerQualityLines = [];
+  networkStats.forEach((metrics, peerId) => {
+    peerQualityLines.push(`${getPeerLabel(peerId)}: ${metrics.quality}`);
+  });
+  
+  // Trickled ICE candidates per peer: queued before the remote description, applied, rejected,
+  // and dropped because the queue was full
+  const candidateLines = Array.from(candidateStats, ([peerId, stats]) =>
+    `ICE ${getPeerLabel(peerId)}: ${stats.buffered} buffered, ${stats.applied} applied, ${stats.failed} failed, ${stats.dropped} dropped`);
+  
+  // Most recent adaptation decisions and what triggered them
+  const decisionLines = adaptation.getLog().slice(-3).reverse().map((decision) => {
+    const label = decision.linkId === SFU_DOWNLINK_ID ? 'Receiving' : getPeerLabel(decision.linkId);
+    const time = new Date(decision.time).toLocaleTimeString();
+    return `${time} ${label}: ${decision.from} → ${decision.to} (${decision.reason})`;
+  });
+  
+  // Bandwidth probes run before upgrades: measured vs required rate
+  const probeLines = adaptation.getProbes().slice(-3).reverse().map((probe) => {
+    const label = probe.linkId === SFU_DOWNLINK_ID ? 'Receiving' : getPeerLabel(probe.linkId);
+    const time = new Date(probe.time).toLocaleTimeString();
+    const rate = probe.measured ? `${Math.round(probe.measured / 1000)}/${Math.round(probe.required / 1000)}kbps` : probe.error || probe.method;
+    return `${time} ${label}: ${probe.to} ${probe.success ? '✅' : '❌'} ${rate} (${probe.method})`;
+  });
   
   const networkInfo = [
     participantCountText,
@@ -1386,12 +2005,25 @@ function updateNetworkStats(totalBitrate, avgPacketLoss, avgRtt) {
     packetLossText,
     rttText,
     qualityText,
-    adaptiveText
+    adaptiveText,
+    ...simulationText,
+    ...layerText,
+    ...peerQualityLines,
+    ...candidateLines,
+    ...(decisionLines.length > 0 ? ['Recent decisions:', ...decisionLines] : []),
+    ...(probeLines.length > 0 ? ['Recent probes:', ...probeLines] : [])
   ].join('\n');
   
   statsPanel.textContent = networkInfo;
 }
 
+function getPeerLabel(peerId) {
+  if (peerId === SFU_PEER_ID) return 'Media server';
+  if (peerId === SIMULATED_PEER_ID) return 'Simulated link';
+  const participant = participants.get(peerId);
+  return participant ? participant.name : peerId.substring(0, 8);
+}
+
 // Update connection stats
 function updateStats() {
   // If we have network stats, use the detailed view
@@ -1408,7 +2040,7 @@ function updateStats() {
   peerConnections.forEach((pc, peerId) => {
     const state = pc.connectionState;
     const iceState = pc.iceConnectionState;
-    peerStates.push(`${peerId.substring(0, 8)}: ${state}/${iceState}`);
+    peerStates.push(`${getPeerLabel(peerId)}: ${state}/${iceState}`);
   });
   
   const statsText = [
@@ -1424,43 +2056,37 @@ function updateStats() {
 function createPeerConnection(participantId) {
   console.log(`📡 Creating peer connection for ${participantId}`);
   
-  const pc = new RTCPeerConnection({
-    iceServers: [
-      // STUN servers for NAT discovery
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' },
-      { urls: 'stun:stun2.l.google.com:19302' },
-      { urls: 'stun:stun.services.mozilla.com' },
-      { urls: 'stun:stun.stunprotocol.org:3478' },
-      
-      // Free TURN servers for long-distance connections (400km+)
-      {
-        urls: 'turn:openrelay.metered.ca:80',
-        username: 'openrelayproject',
-        credential: 'openrelayproject'
-      },
-      {
-        urls: 'turn:openrelay.metered.ca:443',
-        username: 'openrelayproject', 
-        credential: 'openrelayproject'
-      },
-      {
-        urls: 'turn:openrelay.metered.ca:80?transport=tcp',
-        username: 'openrelayproject',
-        credential: 'openrelayproject'  
-      },
-      // Alternative free TURN server
-      {
-        urls: 'turn:relay1.expressturn.com:3478',
-        username: 'efSLANXAY9TzMa3crbhd',
-        credential: 'StkKGS6j18fnddAdH7W7'
-      }
-    ],
-    iceCandidatePoolSize: 10,
-    iceTransportPolicy: 'all', // Allow both STUN and TURN
-    bundlePolicy: 'max-bundle',
-    rtcpMuxPolicy: 'require'
-  });
+  const pc = new RTCPeerConnection(rtcConfiguration);
+  resetPeerQuality(participantId);
+  
+  // Perfect negotiation: either side may offer at any time. On a collision the polite
+  // peer rolls its own offer back and answers; the impolite one ignores the incoming offer.
+  // Both sides agree on who is polite by comparing ids.
+  pc.negotiation = {
+    polite: myId < participantId,
+    makingOffer: false,
+    ignoreOffer: false,
+    isSettingRemoteAnswerPending: false
+  };
+  
+  // Fires for the first offer and again whenever tracks or transceivers change
+  pc.onnegotiationneeded = async () => {
+    try {
+      pc.negotiation.makingOffer = true;
+      await pc.setLocalDescription();
+      console.log(`📤 Sending offer to ${participantId}`);
+      sendSignal({
+        type: 'offer',
+        offer: pc.localDescription,
+        targetId: participantId
+      });
+    } catch (error) {
+      console.error(`❌ Error creating offer for ${participantId}:`, error);
+      schedulePeerRecovery(participantId, 'offer failed', false);
+    } finally {
+      pc.negotiation.makingOffer = false;
+    }
+  };
 
   // Enhanced connection state monitoring
   pc.onconnectionstatechange = () => {
@@ -1486,12 +2112,6 @@ function createPeerConnection(participantId) {
         case 'failed':
           infoElement.textContent = `${baseText} (disconnected)`;
           infoElement.style.background = 'rgba(220, 53, 69, 0.8)'; // Red
-          
-          // Attempt to reconnect after a short delay
-          setTimeout(() => {
-            console.log(`🔄 Attempting to reconnect to ${participantId}`);
-            reconnectToPeer(participantId);
-          }, 3000);
           break;
         default:
           infoElement.textContent = `${baseText} (${state})`;
@@ -1499,6 +2119,19 @@ function createPeerConnection(participantId) {
       }
     }
     
+    if (state === 'connected') {
+      clearPeerRecovery(participantId);
+    } else if (state === 'failed') {
+      schedulePeerRecovery(participantId, 'connection failed');
+    } else if (state === 'disconnected') {
+      // Brief disconnections often recover on their own; act only if this one lasts
+      setTimeout(() => {
+        if (peerConnections.get(participantId) === pc && pc.connectionState === 'disconnected') {
+          schedulePeerRecovery(participantId, 'connection disconnected');
+        }
+      }, 3000);
+    }
+    
     updateStats();
   };
 
@@ -1524,9 +2157,9 @@ function createPeerConnection(participantId) {
       });
     }
     
+    // A failed ICE transport also fails the connection, which starts recovery
     if (iceState === 'failed') {
-      console.log(`❌ ICE connection failed with ${participantId}, attempting restart`);
-      pc.restartIce();
+      console.log(`❌ ICE connection failed with ${participantId}`);
     }
   };
 
@@ -1578,11 +2211,11 @@ function createPeerConnection(participantId) {
   pc.onicecandidate = (event) => {
     if (event.candidate) {
       console.log(`🧊 Sending ICE candidate to ${participantId}:`, event.candidate.type);
-      ws.send(JSON.stringify({
+      sendSignal({
         type: 'candidate',
         candidate: event.candidate,
         targetId: participantId
-      }));
+      });
     } else {
       console.log(`🧊 All ICE candidates sent to ${participantId}`);
     }
@@ -1600,6 +2233,22 @@ function createPeerConnection(participantId) {
   // Store activity channel reference for later use
   pc.activityChannel = activityChannel;
   
+  // Create chat data channel for in-call text messages
+  const chatChannel = pc.createDataChannel('chat', { ordered: true });
+  chatChannel.onopen = () => {
+    console.log(`💬 Chat channel opened with ${participantId}`);
+  };
+  setupChatChannel(chatChannel, participantId);
+  pc.chatChannel = chatChannel;
+  
+  // Create file data channel for peer-to-peer file transfer
+  const fileChannel = pc.createDataChannel('file', { ordered: true });
+  fileChannel.onopen = () => {
+    console.log(`📁 File channel opened with ${participantId}`);
+  };
+  setupFileChannel(fileChannel, participantId);
+  pc.fileChannel = fileChannel;
+  
   dataChannel.onopen = () => {
     console.log(`📨 Data channel opened with ${participantId}`);
     // Send periodic pings to maintain connection
@@ -1642,6 +2291,14 @@ function createPeerConnection(participantId) {
       if (pc) {
         pc.activityChannel = channel;
       }
+    } else if (channel.label === 'chat') {
+      console.log(`💬 Received chat channel from ${participantId}`);
+      setupChatChannel(channel, participantId);
+    } else if (channel.label === 'file') {
+      console.log(`📁 Received file channel from ${participantId}`);
+      setupFileChannel(channel, participantId);
+    } else if (channel.label === 'probe') {
+      // Bandwidth probe padding from the other side; the bytes are simply dropped
     }
   };
 
@@ -1649,216 +2306,1468 @@ function createPeerConnection(participantId) {
   return pc;
 }
 
-// Join the meeting
-joinBtn.onclick = async () => {
+// Screen sharing: swap the outgoing camera track for the screen on every peer
+async function startScreenShare() {
+  if (!localStream || screenStream || isViewer) return;
+  
   try {
-    console.log('🚀 Joining meeting...');
-    
-    // Get user media with initial high quality settings
-    localStream = await navigator.mediaDevices.getUserMedia({
-      video: {
-        width: { ideal: VIDEO_CONSTRAINTS.HIGH.width },
-        height: { ideal: VIDEO_CONSTRAINTS.HIGH.height },
-        frameRate: { ideal: VIDEO_CONSTRAINTS.HIGH.frameRate }
-      },
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true,
-        sampleRate: 48000,          // Higher sample rate for better quality
-        channelCount: 1,            // Mono to save bandwidth
-        sampleSize: 16,             // 16-bit audio
-        latency: 0.01,              // Low latency for real-time
-        volume: 1.0                 // Full volume
-      }
+    screenStream = await navigator.mediaDevices.getDisplayMedia({
+      video: { frameRate: { ideal: SCREEN_SHARE_FRAME_RATES.HIGH } },
+      audio: false
     });
-
-    // Audio debugging for asymmetric issues
-    const audioTrack = localStream.getAudioTracks()[0];
-    if (audioTrack) {
-      console.log('🎤 Audio track settings:', audioTrack.getSettings());
-      console.log('🎤 Audio track constraints:', audioTrack.getConstraints());
-      console.log('🎤 Audio track enabled:', audioTrack.enabled);
-      console.log('🎤 Audio track muted:', audioTrack.muted);
-      console.log('🎤 Audio track ready state:', audioTrack.readyState);
-      
-      // Monitor audio track state changes
-      audioTrack.onended = () => console.warn('⚠️ Audio track ended unexpectedly');
-      audioTrack.onmute = () => console.warn('⚠️ Audio track muted');
-      audioTrack.onunmute = () => console.log('✅ Audio track unmuted');
-    } else {
-      console.error('❌ No audio track found in local stream');
-    }
-    
-    console.log('🎥 Got local stream');
-    
-    // Create local participant
-    const localParticipant = new Participant('local', true);
-    localParticipant.setStream(localStream);
-    participants.set('local', localParticipant);
-    
-    // If we're already in audio-only mode, make sure local video is displayed correctly
-    if (currentVideoQuality === 'AUDIO_ONLY') {
-      setTimeout(() => updateVideoDisplayForAudioOnly(true), 100);
-    }
-    
-    // Initialize connection timing
-    connectionStartTime = Date.now();
-    initialConnectionPhase = true;
-    
-    // Start network quality monitoring
-    networkMonitoringInterval = setInterval(monitorNetworkQuality, 3000); // Increased to 3 seconds for less aggressive monitoring
-    
-    // Start active speaker detection
-    activeSpeakerInterval = setInterval(updateActiveSpeaker, SPEAKER_UPDATE_INTERVAL);
-    
-    // Join room
-    ws.send(JSON.stringify({ type: 'join-room', room: 'default' }));
-    
-    // Update UI
-    joinBtn.style.display = 'none';
-    updateGridLayout();
-    
   } catch (error) {
-    console.error('❌ Error joining meeting:', error);
-    alert('Could not access camera/microphone. Please check permissions.');
+    console.warn('🖥️ Screen share cancelled or denied:', error);
+    return;
   }
-};
-
-// Leave the meeting
-leaveBtn.onclick = () => {
-  console.log('👋 Leaving meeting...');
   
-  // Stop network monitoring
-  if (networkMonitoringInterval) {
-    clearInterval(networkMonitoringInterval);
-    networkMonitoringInterval = null;
-  }
+  const screenTrack = screenStream.getVideoTracks()[0];
+  screenTrack.contentHint = 'detail'; // Tell the encoder to keep text sharp
+  screenTrack.onended = () => stopScreenShare(); // Browser's own "Stop sharing" button
   
-  // Stop active speaker monitoring
-  if (activeSpeakerInterval) {
-    clearInterval(activeSpeakerInterval);
-    activeSpeakerInterval = null;
-  }
+  console.log('🖥️ Screen sharing started');
+  await replaceOutgoingVideoTrack(screenTrack);
   
-  // Clear active speaker data
-  activeSpeaker = null;
-  audioLevels.clear();
+  const localParticipant = participants.get('local');
+  if (localParticipant) {
+    localParticipant.showScreenPreview(screenStream);
+  }
   
-  // Clear network stats
-  networkStats.clear();
+  presenterId = 'local';
+  screenShareBtn.classList.add('sharing');
+  screenShareBtn.title = 'Stop Sharing';
+  sendSignal({ type: 'screen-share', sharing: true });
+  updateGridLayout();
   
-  // Send leave message
-  ws.send(JSON.stringify({ type: 'leave-room' }));
+  // Re-apply each link's tier with screen-share encoding preferences
+  reapplyVideoQualities();
+}
+
+async function stopScreenShare() {
+  if (!screenStream) return;
   
-  // Clean up all peer connections
-  peerConnections.forEach((pc) => pc.close());
-  peerConnections.clear();
+  const stream = screenStream;
+  screenStream = null;
+  stream.getTracks().forEach(track => track.stop());
   
-  // Remove all participants
-  participants.forEach((participant) => participant.remove());
-  participants.clear();
+  console.log('🖥️ Screen sharing stopped');
+  const cameraTrack = localStream ? localStream.getVideoTracks()[0] : null;
+  await replaceOutgoingVideoTrack(cameraTrack || null);
   
-  // Stop local stream
-  if (localStream) {
-    localStream.getTracks().forEach(track => track.stop());
-    localStream = null;
+  const localParticipant = participants.get('local');
+  if (localParticipant && localStream) {
+    localParticipant.setStream(localStream);
   }
   
-  // Reset state
-  currentVideoQuality = 'HIGH';
-  initialConnectionPhase = true;
-  connectionStartTime = null;
-  
-  // Reset UI
-  joinBtn.style.display = 'block';
+  presenterId = findPresenter();
+  screenShareBtn.classList.remove('sharing');
+  screenShareBtn.title = 'Share Screen';
+  sendSignal({ type: 'screen-share', sharing: false });
   updateGridLayout();
-};
+  
+  reapplyVideoQualities();
+}
 
-// Toggle microphone
-micBtn.onclick = () => {
-  if (localStream) {
-    const audioTrack = localStream.getAudioTracks()[0];
-    if (audioTrack) {
-      isMicMuted = !isMicMuted;
-      audioTrack.enabled = !isMicMuted;
-      micBtn.textContent = isMicMuted ? '🎤' : '🎤';
-      micBtn.className = `control-btn ${isMicMuted ? 'muted' : ''}`;
-      
-      // Update local participant info
-      const localParticipant = participants.get('local');
-      if (localParticipant) {
-        const infoElement = localParticipant.tileElement.querySelector('.participant-info');
-        infoElement.textContent = `You ${isMicMuted ? '(muted)' : ''}`;
+// replaceTrack swaps media on the existing sender without renegotiation
+async function replaceOutgoingVideoTrack(track) {
+  for (const [peerId, pc] of peerConnections) {
+    const sender = getSenderByKind(pc, 'video');
+    try {
+      if (sender) {
+        await sender.replaceTrack(track);
       }
-    }
-  }
-};
-
-// Toggle camera
-cameraBtn.onclick = () => {
-  if (localStream) {
-    const videoTrack = localStream.getVideoTracks()[0];
-    if (videoTrack) {
-      isCameraOff = !isCameraOff;
-      videoTrack.enabled = !isCameraOff;
-      cameraBtn.textContent = isCameraOff ? '📹' : '📹';
-      cameraBtn.className = `control-btn ${isCameraOff ? 'muted' : ''}`;
       
-      // Update local video display
-      const localParticipant = participants.get('local');
-      if (localParticipant) {
-        localParticipant.setStream(localStream);
-        
-        // If in audio-only mode, update the display to reflect camera state
-        if (currentVideoQuality === 'AUDIO_ONLY') {
-          updateVideoDisplayForAudioOnly(true);
+      // Mesh peers renegotiate in place when we start sending video we weren't sending before
+      // (e.g. sharing a screen after joining without a camera); the SFU only takes its own offers
+      if (track && pc.negotiation) {
+        const transceiver = pc.getTransceivers().find(t => t.sender === sender);
+        if (!sender) {
+          pc.addTrack(track, screenStream || localStream);
+        } else if (transceiver && transceiver.direction === 'recvonly') {
+          transceiver.direction = 'sendrecv';
         }
       }
+    } catch (error) {
+      console.error(`Error replacing video track for ${peerId}:`, error);
     }
   }
-};
+}
 
-// Handle WebSocket messages
-ws.onmessage = async ({ data }) => {
-  const message = JSON.parse(data);
-  console.log('📨 Received:', message.type, message);
+// Find the audio/video sender even while its track is null
+function getSenderByKind(pc, kind) {
+  const transceiver = pc.getTransceivers().find(t => t.receiver.track && t.receiver.track.kind === kind);
+  return transceiver ? transceiver.sender : null;
+}
 
-  switch (message.type) {
-    case 'room-joined':
-      myId = message.yourId;
-      console.log(`🎉 Joined as ${myId}`);
-      
-      for (let i = 0; i < message.users.length; i++) {
-        const user = message.users[i];
-        setTimeout(() => {
-          createOfferFor(user.id);
-        }, i * 500);
-      }
-      break;
+function getOutgoingVideoTrack() {
+  if (screenStream) {
+    return screenStream.getVideoTracks()[0];
+  }
+  return localStream ? localStream.getVideoTracks()[0] : null;
+}
+
+// Pick who to pin when a presenter stops: ourselves first, then any remote sharer
+function findPresenter() {
+  if (screenStream) return 'local';
+  for (const [participantId, participant] of participants) {
+    if (!participant.isLocal && participant.isScreenSharing) {
+      return participantId;
+    }
+  }
+  return null;
+}
+
+function handleRemoteScreenShare(userId, sharing) {
+  const participant = participants.get(userId);
+  if (!participant) return;
+  
+  console.log(`🖥️ ${participant.name} ${sharing ? 'started' : 'stopped'} screen sharing`);
+  participant.isScreenSharing = sharing;
+  
+  if (sharing) {
+    presenterId = userId;
+    // FaceMesh on shared content would report "gone"
+    participant.stopActivityDetection();
+  } else {
+    if (presenterId === userId) {
+      presenterId = findPresenter();
+    }
+    if (participant.stream) {
+      participant.setStream(participant.stream);
+    }
+  }
+  updateGridLayout();
+}
+
+screenShareBtn.onclick = () => {
+  if (screenStream) {
+    stopScreenShare();
+  } else {
+    startScreenShare();
+  }
+};
+
+// Device selection
+function loadSelectedDevices() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      return { videoinput: stored.videoinput || null, audioinput: stored.audioinput || null, audiooutput: stored.audiooutput || null };
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not read saved devices:', error);
+  }
+  return { videoinput: null, audioinput: null, audiooutput: null };
+}
+
+function saveSelectedDevices() {
+  try {
+    localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(selectedDevices));
+  } catch (error) {
+    console.warn('⚠️ Could not save devices:', error);
+  }
+}
+
+function getCameraConstraints(deviceId = selectedDevices.videoinput) {
+  return {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+    width: { ideal: VIDEO_CONSTRAINTS.HIGH.width },
+    height: { ideal: VIDEO_CONSTRAINTS.HIGH.height },
+    frameRate: { ideal: VIDEO_CONSTRAINTS.HIGH.frameRate }
+  };
+}
+
+function getMicrophoneConstraints(deviceId = selectedDevices.audioinput) {
+  return {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+    sampleRate: 48000,          // Higher sample rate for better quality
+    channelCount: 1,            // Mono to save bandwidth
+    sampleSize: 16,             // 16-bit audio
+    latency: 0.01,              // Low latency for real-time
+    volume: 1.0                 // Full volume
+  };
+}
+
+// Saved devices may have been unplugged since the last visit; retry with defaults
+async function getLocalMedia() {
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      video: getCameraConstraints(),
+      audio: getMicrophoneConstraints()
+    });
+  } catch (error) {
+    if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') throw error;
+    
+    console.warn('⚠️ Saved devices unavailable, falling back to defaults');
+    selectedDevices.videoinput = null;
+    selectedDevices.audioinput = null;
+    saveSelectedDevices();
+    return navigator.mediaDevices.getUserMedia({
+      video: getCameraConstraints(null),
+      audio: getMicrophoneConstraints(null)
+    });
+  }
+}
+
+// Fill the settings dialog from enumerateDevices
+async function refreshDeviceLists() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const fill = (select, kind, fallbackLabel) => {
+    const options = devices
+      .filter(device => device.kind === kind)
+      .map((device, index) => new Option(device.label || `${fallbackLabel} ${index + 1}`, device.deviceId));
+    select.replaceChildren(...options);
+    
+    const current = getActiveDeviceId(kind);
+    if (current && options.some(option => option.value === current)) {
+      select.value = current;
+    }
+  };
+  
+  fill(cameraSelect, 'videoinput', 'Camera');
+  fill(microphoneSelect, 'audioinput', 'Microphone');
+  fill(speakerSelect, 'audiooutput', 'Speaker');
+  
+  // setSinkId is not available in every browser
+  speakerField.classList.toggle('hidden', !('setSinkId' in HTMLMediaElement.prototype) || speakerSelect.options.length === 0);
+  
+  return devices;
+}
+
+// The device actually in use, falling back to the saved choice
+function getActiveDeviceId(kind) {
+  const stream = localStream || previewStream;
+  if (stream && kind !== 'audiooutput') {
+    const track = kind === 'videoinput' ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0];
+    const settings = track && track.getSettings();
+    if (settings && settings.deviceId) return settings.deviceId;
+  }
+  return selectedDevices[kind];
+}
+
+// Swap the camera mid-call: replaceTrack on every sender, no renegotiation
+async function switchCamera(deviceId) {
+  selectedDevices.videoinput = deviceId;
+  saveSelectedDevices();
+  
+  // Switching from the pre-join screen only swaps the preview
+  const stream = localStream || previewStream;
+  if (!stream) return;
+  
+  const oldTrack = stream.getVideoTracks()[0];
+  const newStream = await navigator.mediaDevices.getUserMedia({ video: getCameraConstraints(deviceId) });
+  const newTrack = newStream.getVideoTracks()[0];
+  newTrack.enabled = !isCameraOff;
+  
+  if (oldTrack) {
+    stream.removeTrack(oldTrack);
+    oldTrack.stop();
+  }
+  stream.addTrack(newTrack);
+  console.log(`📹 Switched camera to ${newTrack.label}`);
+  
+  if (stream === previewStream) {
+    previewParticipant.stopActivityDetection();
+    previewParticipant.setStream(previewStream);
+    return;
+  }
+  
+  // A shared screen keeps the video sender until sharing stops
+  if (!screenStream) {
+    await replaceOutgoingVideoTrack(newTrack);
+  }
+  
+  const localParticipant = participants.get('local');
+  if (localParticipant) {
+    localParticipant.stopActivityDetection();
+    localParticipant.setStream(localStream);
+  }
+  
+  reapplyVideoQualities();
+}
+
+async function switchMicrophone(deviceId) {
+  selectedDevices.audioinput = deviceId;
+  saveSelectedDevices();
+  
+  const stream = localStream || previewStream;
+  if (!stream) return;
+  
+  const oldTrack = stream.getAudioTracks()[0];
+  const newStream = await navigator.mediaDevices.getUserMedia({ audio: getMicrophoneConstraints(deviceId) });
+  const newTrack = newStream.getAudioTracks()[0];
+  newTrack.enabled = !isMicMuted;
+  
+  if (oldTrack) {
+    stream.removeTrack(oldTrack);
+    oldTrack.stop();
+  }
+  stream.addTrack(newTrack);
+  console.log(`🎤 Switched microphone to ${newTrack.label}`);
+  
+  if (stream === previewStream) {
+    if (previewMeter) previewMeter.stop();
+    previewMeter = startMicLevelMeter(previewStream);
+    return;
+  }
+  
+  for (const [peerId, pc] of peerConnections) {
+    const sender = getSenderByKind(pc, 'audio');
+    if (!sender) continue;
+    try {
+      await sender.replaceTrack(newTrack);
+    } catch (error) {
+      console.error(`Error replacing audio track for ${peerId}:`, error);
+    }
+  }
+}
+
+async function switchSpeaker(deviceId) {
+  selectedDevices.audiooutput = deviceId;
+  saveSelectedDevices();
+  
+  participants.forEach((participant) => {
+    if (!participant.isLocal) {
+      applyAudioOutput(participant.videoElement);
+    }
+  });
+  console.log(`🔊 Switched speaker to ${deviceId}`);
+}
+
+function applyAudioOutput(mediaElement) {
+  if (!selectedDevices.audiooutput || typeof mediaElement.setSinkId !== 'function') return;
+  mediaElement.setSinkId(selectedDevices.audiooutput).catch((error) => {
+    console.warn('⚠️ Could not set audio output device:', error);
+  });
+}
+
+// Devices seen so far. Until media permission is granted ids are empty or anonymized
+// (and labels empty), so nothing is remembered and nothing counts as newly plugged in
+function rememberDevices(devices) {
+  knownDeviceIds = new Set(devices
+    .filter(device => device.deviceId && device.label)
+    .map(device => `${device.kind}:${device.deviceId}`));
+}
+
+// Follow headsets being plugged in or removed
+async function handleDeviceChange() {
+  const devices = await refreshDeviceLists();
+  const currentIds = new Set(devices.map(device => `${device.kind}:${device.deviceId}`));
+  // With nothing known yet every device would look new, so nothing is auto-selected
+  const added = knownDeviceIds.size === 0 ? [] : devices.filter(device => device.deviceId && device.deviceId !== 'default' &&
+    !knownDeviceIds.has(`${device.kind}:${device.deviceId}`));
+  rememberDevices(devices);
+  
+  if (!localStream) return;
+  
+  try {
+    // Newly plugged-in audio devices (e.g. a headset) take over
+    const newMicrophone = added.find(device => device.kind === 'audioinput');
+    const newSpeaker = added.find(device => device.kind === 'audiooutput');
+    if (newMicrophone) {
+      showNotice(`🎧 Switched to ${newMicrophone.label || 'new microphone'}`, 'info');
+      await switchMicrophone(newMicrophone.deviceId);
+    }
+    if (newSpeaker) {
+      await switchSpeaker(newSpeaker.deviceId);
+    }
+    
+    // Fall back to the default device when the one in use disappears
+    const audioTrack = localStream.getAudioTracks()[0];
+    if (!newMicrophone && (!audioTrack || audioTrack.readyState === 'ended' ||
+        !currentIds.has(`audioinput:${audioTrack.getSettings().deviceId}`))) {
+      showNotice('🎤 Microphone disconnected, using default', 'info');
+      await switchMicrophone(null);
+    }
+    
+    const videoTrack = localStream.getVideoTracks()[0];
+    if (videoTrack && (videoTrack.readyState === 'ended' ||
+        !currentIds.has(`videoinput:${videoTrack.getSettings().deviceId}`))) {
+      showNotice('📹 Camera disconnected, using default', 'info');
+      await switchCamera(null);
+    }
+    
+    if (selectedDevices.audiooutput && !currentIds.has(`audiooutput:${selectedDevices.audiooutput}`)) {
+      await switchSpeaker(null);
+    }
+    
+    await refreshDeviceLists();
+  } catch (error) {
+    console.error('Error handling device change:', error);
+  }
+}
+
+settingsBtn.onclick = async () => {
+  try {
+    await refreshDeviceLists();
+  } catch (error) {
+    console.error('Error listing devices:', error);
+  }
+  settingsDialog.classList.remove('hidden');
+};
+
+settingsDoneBtn.onclick = () => settingsDialog.classList.add('hidden');
+
+Object.entries(NETWORK_SCENARIOS).forEach(([name, scenario]) => {
+  const option = document.createElement('option');
+  option.value = name;
+  option.textContent = `${name} – ${scenario.description}`;
+  simulationSelect.appendChild(option);
+});
+
+simulationSelect.onchange = () => {
+  if (!simulationSelect.value) {
+    finishNetworkSimulation();
+  } else if (!startNetworkSimulation(simulationSelect.value)) {
+    simulationSelect.value = '';
+  }
+};
+
+cameraSelect.onchange = () => {
+  switchCamera(cameraSelect.value).catch((error) => {
+    console.error('Error switching camera:', error);
+    showNotice('Could not switch camera');
+  });
+};
+
+microphoneSelect.onchange = () => {
+  switchMicrophone(microphoneSelect.value).catch((error) => {
+    console.error('Error switching microphone:', error);
+    showNotice('Could not switch microphone');
+  });
+};
+
+speakerSelect.onchange = () => switchSpeaker(speakerSelect.value);
+
+if (navigator.mediaDevices) {
+  navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+  navigator.mediaDevices.enumerateDevices().then(rememberDevices).catch(() => {});
+}
+
+// Wire up a chat data channel (the one we opened or the one the peer opened)
+function setupChatChannel(channel, participantId) {
+  channel.onmessage = (event) => {
+    try {
+      receiveChatMessage(participantId, JSON.parse(event.data));
+    } catch (error) {
+      console.error(`Error reading chat message from ${participantId}:`, error);
+    }
+  };
+}
+
+// Send a chat message to everyone, or privately to one participant
+function sendChatMessage(text, targetId = null) {
+  const message = {
+    type: 'chat-message',
+    id: crypto.randomUUID(),
+    text,
+    timestamp: Date.now(),
+    private: Boolean(targetId)
+  };
+  
+  const targets = targetId
+    ? [targetId]
+    : Array.from(participants.keys()).filter((id) => id !== 'local');
+  
+  targets.forEach((peerId) => {
+    const pc = peerConnections.get(peerId);
+    const channel = pc && pc.chatChannel;
+    if (channel && channel.readyState === 'open') {
+      channel.send(JSON.stringify(message));
+    } else {
+      // Relay through the signaling server while the data channel is down (e.g. reconnecting)
+      console.log(`💬 Chat channel to ${peerId} not open, relaying via server`);
+      sendSignal({ type: 'chat', targetId: peerId, message });
+    }
+  });
+  
+  seenChatMessageIds.add(message.id);
+  const recipient = targetId ? participants.get(targetId) : null;
+  appendChatMessage(message, 'You', recipient ? recipient.name : null);
+}
+
+function receiveChatMessage(fromId, message) {
+  if (!message || message.type !== 'chat-message' || typeof message.text !== 'string') return;
+  if (seenChatMessageIds.has(message.id)) return;
+  seenChatMessageIds.add(message.id);
+  
+  const senderName = getParticipantName(fromId);
+  console.log(`💬 Message from ${fromId}${message.private ? ' (private)' : ''}`);
+  appendChatMessage(message, senderName, message.private ? 'You' : null);
+  
+  if (chatPanel.classList.contains('hidden')) {
+    unreadChatCount++;
+    updateChatBadge();
+  }
+}
+
+function appendChatMessage(message, senderName, recipientName) {
+  const item = document.createElement('li');
+  item.className = `chat-message ${message.private ? 'private' : ''}`;
+  
+  const meta = document.createElement('div');
+  meta.className = 'chat-meta';
+  const sender = document.createElement('span');
+  sender.className = 'chat-sender';
+  sender.textContent = recipientName ? `${senderName} → ${recipientName}` : senderName;
+  const time = document.createElement('span');
+  time.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  meta.append(sender, time);
+  if (message.private) {
+    meta.append(' · private');
+  }
+  
+  const text = document.createElement('div');
+  text.className = 'chat-text';
+  text.textContent = message.text;
+  
+  item.append(meta, text);
+  chatMessagesList.appendChild(item);
+  chatMessagesList.scrollTop = chatMessagesList.scrollHeight;
+}
+
+function updateChatBadge() {
+  chatUnreadBadge.textContent = unreadChatCount > 99 ? '99+' : String(unreadChatCount);
+  chatUnreadBadge.classList.toggle('hidden', unreadChatCount === 0);
+}
+
+function updateChatRecipients() {
+  const selected = chatRecipient.value;
+  const options = [new Option('Everyone', '')];
+  participants.forEach((participant, participantId) => {
+    if (participantId !== 'local') {
+      options.push(new Option(`${participant.name} (private)`, participantId));
+    }
+  });
+  chatRecipient.replaceChildren(...options);
+  chatRecipient.value = participants.has(selected) ? selected : '';
+}
+
+function resetChat() {
+  chatMessagesList.replaceChildren();
+  seenChatMessageIds.clear();
+  unreadChatCount = 0;
+  updateChatBadge();
+}
+
+chatBtn.onclick = () => {
+  chatPanel.classList.toggle('hidden');
+  if (!chatPanel.classList.contains('hidden')) {
+    unreadChatCount = 0;
+    updateChatBadge();
+    chatInput.focus();
+  }
+};
+
+chatCloseBtn.onclick = () => chatPanel.classList.add('hidden');
+
+chatForm.onsubmit = (event) => {
+  event.preventDefault();
+  const text = chatInput.value.trim();
+  if (!text || !localStream) return;
+  sendChatMessage(text, chatRecipient.value || null);
+  chatInput.value = '';
+};
+
+// Wire up a file data channel (the one we opened or the one the peer opened)
+function setupFileChannel(channel, participantId) {
+  channel.binaryType = 'arraybuffer';
+  channel.bufferedAmountLowThreshold = FILE_BUFFER_LOW_WATER;
+  
+  // On an ordered channel, binary chunks belong to the transfer most recently started on it
+  let incomingTransferId = null;
+  
+  channel.onmessage = (event) => {
+    if (typeof event.data !== 'string') {
+      receiveFileChunk(incomingTransferId, event.data);
+      return;
+    }
+    
+    try {
+      const message = JSON.parse(event.data);
+      switch (message.type) {
+        case 'file-start':
+          incomingTransferId = message.transferId;
+          startIncomingTransfer(participantId, channel, message);
+          break;
+        case 'file-end':
+          incomingTransferId = null;
+          finishIncomingTransfer(message.transferId);
+          break;
+        case 'file-cancel': {
+          if (incomingTransferId === message.transferId) {
+            incomingTransferId = null;
+          }
+          const transfer = fileTransfers.get(message.transferId);
+          if (transfer && transfer.peerId === participantId) {
+            endTransfer(transfer, 'cancelled', 'Cancelled by peer');
+          }
+          break;
+        }
+      }
+    } catch (error) {
+      console.error(`Error reading file message from ${participantId}:`, error);
+    }
+  };
+}
+
+async function computeSha256(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Send files to one participant, or to everyone we're connected to
+async function sendFiles(files, targetId = null) {
+  if (!localStream) return;
+  
+  // Files go peer-to-peer; SFU rooms have no direct connection to other participants
+  if (roomMode === 'sfu') {
+    showNotice('File sharing is not available in large (SFU) meetings');
+    return;
+  }
+  
+  const targets = targetId ? [targetId] : Array.from(peerConnections.keys());
+  if (targets.length === 0) {
+    showNotice('No one to send files to yet');
+    return;
+  }
+  
+  for (const file of files) {
+    if (file.size > MAX_FILE_SIZE) {
+      showNotice(`${file.name} is larger than ${formatBytes(MAX_FILE_SIZE)}`);
+      continue;
+    }
+    
+    const sha256 = await computeSha256(await file.arrayBuffer());
+    targets.forEach((peerId) => queueFileSend(file, sha256, peerId));
+  }
+}
+
+// Transfers to the same peer run one at a time so chunks never interleave
+function queueFileSend(file, sha256, peerId) {
+  const pc = peerConnections.get(peerId);
+  const transfer = {
+    id: crypto.randomUUID(),
+    peerId,
+    direction: 'send',
+    name: file.name,
+    size: file.size,
+    mimeType: file.type,
+    sha256,
+    file,
+    bytes: 0,
+    status: 'queued',
+    channel: pc ? pc.fileChannel : null
+  };
+  fileTransfers.set(transfer.id, transfer);
+  renderTransfer(transfer);
+  
+  if (!pc) {
+    endTransfer(transfer, 'failed', 'Not connected');
+    return;
+  }
+  pc.fileQueue = (pc.fileQueue || Promise.resolve()).then(() => sendFileToPeer(transfer));
+}
+
+async function sendFileToPeer(transfer) {
+  const channel = transfer.channel;
+  if (transfer.status !== 'queued') return;
+  if (!channel || channel.readyState !== 'open') {
+    endTransfer(transfer, 'failed', 'File channel not open');
+    return;
+  }
+  
+  console.log(`📁 Sending ${transfer.name} (${formatBytes(transfer.size)}) to ${transfer.peerId}`);
+  transfer.status = 'active';
+  renderTransfer(transfer);
+  
+  try {
+    channel.send(JSON.stringify({
+      type: 'file-start',
+      transferId: transfer.id,
+      name: transfer.name,
+      size: transfer.size,
+      mimeType: transfer.mimeType,
+      sha256: transfer.sha256
+    }));
+    
+    for (let offset = 0; offset < transfer.size; offset += FILE_CHUNK_SIZE) {
+      // Cancellation already notified the peer
+      if (transfer.status !== 'active') return;
+      
+      // Backpressure: let the SCTP buffer drain before queueing more
+      if (channel.bufferedAmount > FILE_BUFFER_HIGH_WATER) {
+        await waitForBufferDrain(channel);
+      }
+      if (channel.readyState !== 'open') {
+        throw new Error('File channel closed');
+      }
+      
+      const chunk = await transfer.file.slice(offset, offset + FILE_CHUNK_SIZE).arrayBuffer();
+      if (transfer.status !== 'active') return;
+      channel.send(chunk);
+      transfer.bytes = offset + chunk.byteLength;
+      renderTransfer(transfer);
+    }
+    
+    channel.send(JSON.stringify({ type: 'file-end', transferId: transfer.id }));
+    endTransfer(transfer, 'done', 'Sent');
+  } catch (error) {
+    console.error(`❌ Error sending ${transfer.name} to ${transfer.peerId}:`, error);
+    endTransfer(transfer, 'failed', 'Transfer interrupted');
+  }
+}
+
+function waitForBufferDrain(channel) {
+  return new Promise((resolve) => {
+    const onDrained = () => {
+      channel.removeEventListener('bufferedamountlow', onDrained);
+      channel.removeEventListener('close', onDrained);
+      resolve();
+    };
+    channel.addEventListener('bufferedamountlow', onDrained);
+    channel.addEventListener('close', onDrained);
+  });
+}
+
+function startIncomingTransfer(participantId, channel, message) {
+  if (typeof message.transferId !== 'string' || fileTransfers.has(message.transferId)) return;
+  
+  const transfer = {
+    id: message.transferId,
+    peerId: participantId,
+    direction: 'receive',
+    name: String(message.name || 'file'),
+    size: Number(message.size) || 0,
+    mimeType: String(message.mimeType || 'application/octet-stream'),
+    sha256: String(message.sha256 || ''),
+    chunks: [],
+    bytes: 0,
+    status: 'active',
+    channel
+  };
+  fileTransfers.set(transfer.id, transfer);
+  console.log(`📁 Receiving ${transfer.name} (${formatBytes(transfer.size)}) from ${participantId}`);
+  
+  if (transfer.size > MAX_FILE_SIZE) {
+    cancelTransfer(transfer, 'File too large');
+    return;
+  }
+  renderTransfer(transfer);
+}
+
+function receiveFileChunk(transferId, chunk) {
+  const transfer = fileTransfers.get(transferId);
+  if (!transfer || transfer.direction !== 'receive' || transfer.status !== 'active') return;
+  
+  transfer.chunks.push(chunk);
+  transfer.bytes += chunk.byteLength;
+  
+  if (transfer.bytes > transfer.size) {
+    cancelTransfer(transfer, 'Received more data than announced');
+    return;
+  }
+  renderTransfer(transfer);
+}
+
+// Verify the SHA-256 before offering the download
+async function finishIncomingTransfer(transferId) {
+  const transfer = fileTransfers.get(transferId);
+  if (!transfer || transfer.direction !== 'receive' || transfer.status !== 'active') return;
+  
+  transfer.status = 'verifying';
+  renderTransfer(transfer);
+  
+  const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+  transfer.chunks = null;
+  const sha256 = await computeSha256(await blob.arrayBuffer());
+  
+  if (transfer.bytes !== transfer.size || sha256 !== transfer.sha256) {
+    console.error(`❌ Integrity check failed for ${transfer.name} from ${transfer.peerId}`);
+    endTransfer(transfer, 'failed', 'Integrity check failed');
+    return;
+  }
+  
+  transfer.downloadUrl = URL.createObjectURL(blob);
+  console.log(`✅ Received ${transfer.name} from ${transfer.peerId} (SHA-256 verified)`);
+  endTransfer(transfer, 'done', 'Verified');
+}
+
+// Cancel locally and tell the other side over the same channel
+function cancelTransfer(transfer, reason = 'Cancelled') {
+  if (transfer.status !== 'queued' && transfer.status !== 'active') return;
+  
+  if (transfer.channel && transfer.channel.readyState === 'open' && transfer.status === 'active') {
+    transfer.channel.send(JSON.stringify({ type: 'file-cancel', transferId: transfer.id }));
+  }
+  endTransfer(transfer, 'cancelled', reason);
+}
+
+function endTransfer(transfer, status, statusText) {
+  transfer.status = status;
+  transfer.statusText = statusText;
+  transfer.chunks = null;
+  transfer.file = null;
+  renderTransfer(transfer);
+}
+
+function failTransfersForPeer(peerId) {
+  fileTransfers.forEach((transfer) => {
+    if (transfer.peerId === peerId && (transfer.status === 'queued' || transfer.status === 'active')) {
+      endTransfer(transfer, 'failed', 'Participant left');
+    }
+  });
+}
+
+function renderTransfer(transfer) {
+  if (!transfer.element) {
+    transfer.element = document.createElement('li');
+    
+    const title = document.createElement('div');
+    title.className = 'transfer-title';
+    const name = document.createElement('span');
+    name.className = 'transfer-name';
+    name.textContent = `${transfer.direction === 'send' ? '⬆️' : '⬇️'} ${transfer.name}`;
+    name.title = transfer.name;
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = '✖';
+    cancelButton.title = 'Cancel transfer';
+    cancelButton.onclick = () => cancelTransfer(transfer);
+    title.append(name, cancelButton);
+    
+    transfer.progressElement = document.createElement('progress');
+    transfer.progressElement.max = Math.max(1, transfer.size);
+    transfer.statusElement = document.createElement('div');
+    transfer.statusElement.className = 'transfer-status';
+    transfer.cancelButton = cancelButton;
+    
+    transfer.element.append(title, transfer.progressElement, transfer.statusElement);
+    transferList.prepend(transfer.element);
+    transfersPanel.classList.remove('hidden');
+  }
+  
+  const peerName = getParticipantName(transfer.peerId);
+  const direction = transfer.direction === 'send' ? `to ${peerName}` : `from ${peerName}`;
+  const isOpen = transfer.status === 'queued' || transfer.status === 'active';
+  
+  transfer.element.className = `transfer-item ${transfer.status}`;
+  transfer.progressElement.value = transfer.bytes;
+  transfer.progressElement.style.display = isOpen ? 'block' : 'none';
+  transfer.cancelButton.style.display = isOpen ? 'inline' : 'none';
+  
+  if (isOpen) {
+    const percent = transfer.size > 0 ? Math.round((transfer.bytes / transfer.size) * 100) : 0;
+    const state = transfer.status === 'queued' ? 'Queued' : `${percent}%`;
+    transfer.statusElement.textContent = `${state} · ${formatBytes(transfer.bytes)} / ${formatBytes(transfer.size)} ${direction}`;
+  } else if (transfer.status === 'verifying') {
+    transfer.statusElement.textContent = `Verifying SHA-256 ${direction}...`;
+  } else {
+    transfer.statusElement.textContent = `${transfer.statusText} · ${formatBytes(transfer.size)} ${direction}`;
+    if (transfer.downloadUrl) {
+      const link = document.createElement('a');
+      link.href = transfer.downloadUrl;
+      link.download = transfer.name;
+      link.textContent = ' · Download';
+      transfer.statusElement.appendChild(link);
+    }
+  }
+}
+
+function resetFileTransfers() {
+  fileTransfers.forEach((transfer) => {
+    cancelTransfer(transfer, 'Left meeting');
+    if (transfer.downloadUrl) {
+      URL.revokeObjectURL(transfer.downloadUrl);
+    }
+  });
+  fileTransfers.clear();
+  transferList.replaceChildren();
+  transfersPanel.classList.add('hidden');
+}
+
+attachFileBtn.onclick = () => fileInput.click();
+
+fileInput.onchange = () => {
+  sendFiles(Array.from(fileInput.files), chatRecipient.value || null);
+  fileInput.value = '';
+};
+
+// Drag-and-drop: onto a remote tile sends to that person, anywhere else sends to everyone
+function isFileDrag(event) {
+  return Boolean(localStream && event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files'));
+}
+
+function clearDropTargets() {
+  dropOverlay.classList.add('hidden');
+  document.querySelectorAll('.participant-tile.drop-target').forEach((tile) => tile.classList.remove('drop-target'));
+}
+
+document.addEventListener('dragover', (event) => {
+  if (!isFileDrag(event)) return;
+  event.preventDefault();
+  dropOverlay.classList.remove('hidden');
+  
+  const tile = event.target.closest && event.target.closest('.remote-participant');
+  document.querySelectorAll('.participant-tile.drop-target').forEach((other) => {
+    if (other !== tile) other.classList.remove('drop-target');
+  });
+  if (tile) tile.classList.add('drop-target');
+});
+
+document.addEventListener('dragleave', (event) => {
+  // relatedTarget is null once the drag leaves the window
+  if (!event.relatedTarget) clearDropTargets();
+});
+
+document.addEventListener('drop', (event) => {
+  if (!isFileDrag(event)) return;
+  event.preventDefault();
+  clearDropTargets();
+  
+  const tile = event.target.closest && event.target.closest('.remote-participant');
+  const targetId = tile ? tile.id.replace('participant-', '') : null;
+  sendFiles(Array.from(event.dataTransfer.files), targetId);
+});
+
+// Pre-join screen: camera preview, mic level meter and a FaceMesh check
+async function openPreJoin() {
+  try {
+    previewStream = await getLocalMedia();
+  } catch (error) {
+    console.error('❌ Error opening pre-join preview:', error);
+    alert('Could not access camera/microphone. Please check permissions.');
+    return;
+  }
+  
+  // Device ids are only real once permission is granted
+  navigator.mediaDevices.enumerateDevices().then(rememberDevices).catch(() => {});
+  applyPreJoinState();
+  previewParticipant = new PreviewParticipant(localProfile);
+  previewParticipant.setStream(previewStream);
+  previewMeter = startMicLevelMeter(previewStream);
+  
+  updatePreJoinButtons();
+  preJoinDialog.classList.remove('hidden');
+}
+
+function closePreJoin(keepStream = false) {
+  if (previewMeter) {
+    previewMeter.stop();
+    previewMeter = null;
+  }
+  if (previewParticipant) {
+    previewParticipant.remove();
+    previewParticipant = null;
+  }
+  if (previewStream && !keepStream) {
+    previewStream.getTracks().forEach(track => track.stop());
+  }
+  previewStream = null;
+  preJoinDialog.classList.add('hidden');
+}
+
+// Same AnalyserNode approach as Participant.setupAudioMonitoring, drawn as a bar
+function startMicLevelMeter(stream) {
+  if (!stream.getAudioTracks().length) return null;
+  
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 256;
+  audioContext.createMediaStreamSource(stream).connect(analyser);
+  
+  const dataArray = new Uint8Array(analyser.frequencyBinCount);
+  let rafId = null;
+  
+  const updateLevel = () => {
+    analyser.getByteFrequencyData(dataArray);
+    let sum = 0;
+    for (let i = 0; i < dataArray.length; i++) {
+      sum += dataArray[i];
+    }
+    const level = sum / dataArray.length / 255;
+    // Speech rarely averages above ~0.3, so scale it up to fill the bar
+    micMeterFill.style.width = `${Math.min(100, Math.round(level * 300))}%`;
+    rafId = requestAnimationFrame(updateLevel);
+  };
+  
+  updateLevel();
+  
+  return {
+    stop() {
+      cancelAnimationFrame(rafId);
+      audioContext.close();
+      micMeterFill.style.width = '0%';
+    }
+  };
+}
+
+// Honour "join muted" / "camera off" on the preview tracks
+function applyPreJoinState() {
+  if (!previewStream) return;
+  previewStream.getAudioTracks().forEach(track => { track.enabled = !isMicMuted; });
+  previewStream.getVideoTracks().forEach(track => { track.enabled = !isCameraOff; });
+}
+
+function updatePreJoinButtons() {
+  preJoinMicBtn.className = `control-btn ${isMicMuted ? 'muted' : ''}`;
+  preJoinMicBtn.title = isMicMuted ? 'Join muted' : 'Join with microphone on';
+  preJoinCameraBtn.className = `control-btn ${isCameraOff ? 'muted' : ''}`;
+  preJoinCameraBtn.title = isCameraOff ? 'Join with camera off' : 'Join with camera on';
+}
+
+preJoinMicBtn.onclick = () => {
+  isMicMuted = !isMicMuted;
+  applyPreJoinState();
+  updatePreJoinButtons();
+};
+
+preJoinCameraBtn.onclick = () => {
+  isCameraOff = !isCameraOff;
+  applyPreJoinState();
+  updatePreJoinButtons();
+  if (previewParticipant) {
+    previewParticipant.stopActivityDetection();
+    previewParticipant.setStream(previewStream);
+  }
+};
+
+preJoinSettingsBtn.onclick = () => settingsBtn.onclick();
+
+preJoinCancelBtn.onclick = () => closePreJoin();
+
+preJoinJoinBtn.onclick = () => {
+  const stream = previewStream;
+  closePreJoin(true);
+  joinMeeting(stream);
+};
+
+// Join the meeting
+joinBtn.onclick = () => {
+  if (!currentRoom) {
+    updateRoomUI();
+    return;
+  }
+  openPreJoin();
+};
+
+async function joinMeeting(stream) {
+  try {
+    console.log(`🚀 Joining meeting in room ${currentRoom}...`);
+    
+    // Use the stream checked on the pre-join screen
+    localStream = stream;
+
+    // Audio debugging for asymmetric issues
+    const audioTrack = localStream.getAudioTracks()[0];
+    if (audioTrack) {
+      console.log('🎤 Audio track settings:', audioTrack.getSettings());
+      console.log('🎤 Audio track constraints:', audioTrack.getConstraints());
+      console.log('🎤 Audio track enabled:', audioTrack.enabled);
+      console.log('🎤 Audio track muted:', audioTrack.muted);
+      console.log('🎤 Audio track ready state:', audioTrack.readyState);
+      
+      // Monitor audio track state changes
+      audioTrack.onended = () => console.warn('⚠️ Audio track ended unexpectedly');
+      audioTrack.onmute = () => console.warn('⚠️ Audio track muted');
+      audioTrack.onunmute = () => console.log('✅ Audio track unmuted');
+    } else {
+      console.error('❌ No audio track found in local stream');
+    }
+    
+    console.log('🎥 Got local stream');
+    
+    // Create local participant
+    const localParticipant = new Participant('local', true, localProfile);
+    localParticipant.setStream(localStream);
+    participants.set('local', localParticipant);
+    
+    // Honour the mic/camera choices from the pre-join screen
+    setMicMuted(isMicMuted);
+    setCameraOff(isCameraOff);
+    
+    // Start network quality monitoring
+    networkMonitoringInterval = setInterval(monitorNetworkQuality, 3000); // Increased to 3 seconds for less aggressive monitoring
+    
+    // Start active speaker detection
+    activeSpeakerInterval = setInterval(updateActiveSpeaker, SPEAKER_UPDATE_INTERVAL);
+    
+    // Join room
+    sendJoinRoom();
+    
+    // Update UI
+    joinBtn.style.display = 'none';
+    updateGridLayout();
+    
+  } catch (error) {
+    console.error('❌ Error joining meeting:', error);
+    alert('Could not join the meeting. Please try again.');
+  }
+}
+
+// Options: { queue } to wait for a seat in a full room, { viewer } for a listen-only seat
+function sendJoinRoom(options = {}) {
+  sendSignal({
+    type: 'join-room',
+    room: currentRoom,
+    name: localProfile.name,
+    color: localProfile.color,
+    password: roomPasswordInput.value,
+    waitingRoom: waitingRoomCheckbox.checked,
+    mode: sfuModeCheckbox.checked ? 'sfu' : 'mesh',
+    ...options
+  });
+}
+
+// Leave the meeting; skip notifying the server when the join was refused
+function leaveMeeting(notifyServer = true) {
+  console.log('👋 Leaving meeting...');
+  
+  // Stop network monitoring
+  if (networkMonitoringInterval) {
+    clearInterval(networkMonitoringInterval);
+    networkMonitoringInterval = null;
+  }
+  
+  // Stop active speaker monitoring
+  if (activeSpeakerInterval) {
+    clearInterval(activeSpeakerInterval);
+    activeSpeakerInterval = null;
+  }
+  
+  // Clear active speaker data
+  activeSpeaker = null;
+  audioLevels.clear();
+  
+  // End any network simulation, then clear network stats
+  finishNetworkSimulation();
+  networkStats.clear();
+  
+  // Send leave message; the session can no longer be resumed
+  resumeToken = null;
+  if (notifyServer) {
+    sendSignal({ type: 'leave-room' });
+  }
+  
+  // Clean up all peer connections
+  peerConnections.forEach((pc) => pc.close());
+  peerConnections.clear();
+  pendingCandidates.clear();
+  candidateStats.clear();
+  Array.from(peerRecovery.keys()).forEach(clearPeerRecovery);
+  
+  // Remove all participants
+  participants.forEach((participant) => participant.remove());
+  participants.clear();
+  
+  // Stop screen sharing
+  if (screenStream) {
+    screenStream.getTracks().forEach(track => track.stop());
+    screenStream = null;
+  }
+  presenterId = null;
+  screenShareBtn.classList.remove('sharing');
+  screenShareBtn.title = 'Share Screen';
+  
+  // Stop local stream
+  if (localStream) {
+    localStream.getTracks().forEach(track => track.stop());
+    localStream = null;
+  }
+  
+  // Reset state
+  roomMode = 'mesh';
+  sfuTrackOwners.clear();
+  sfuReceiveQuality = 'HIGH';
+  currentVideoQuality = 'HIGH';
+  adaptation.clear();
+  roomOwnerId = null;
+  isRoomLocked = false;
+  setViewerMode(false);
+  awaitingSeat = null;
+  waitingUsers.clear();
+  resetChat();
+  resetFileTransfers();
+  
+  // Reset UI
+  joinBtn.style.display = 'block';
+  waitingOverlay.classList.add('hidden');
+  roomFullOverlay.classList.add('hidden');
+  renderWaitingPanel();
+  updateRoomControls();
+  updateGridLayout();
+}
+
+leaveBtn.onclick = () => leaveMeeting();
+
+// Viewers keep their devices muted and the publishing controls disabled
+function setViewerMode(viewer) {
+  isViewer = Boolean(viewer);
+  if (isViewer) {
+    setMicMuted(true);
+    setCameraOff(true);
+  }
+  [micBtn, cameraBtn, screenShareBtn].forEach(button => {
+    button.disabled = isViewer;
+  });
+  
+  const localParticipant = participants.get('local');
+  if (localParticipant) {
+    localParticipant.setViewer(isViewer);
+  }
+}
+
+// Mute or unmute the local microphone
+function setMicMuted(muted) {
+  if (localStream) {
+    const audioTrack = localStream.getAudioTracks()[0];
+    if (audioTrack) {
+      isMicMuted = muted;
+      audioTrack.enabled = !isMicMuted;
+      micBtn.textContent = isMicMuted ? '🎤' : '🎤';
+      micBtn.className = `control-btn ${isMicMuted ? 'muted' : ''}`;
+      
+      // Update local participant info
+      const localParticipant = participants.get('local');
+      if (localParticipant) {
+        const infoElement = localParticipant.tileElement.querySelector('.participant-info');
+        infoElement.textContent = `${localParticipant.name} ${isMicMuted ? '(muted)' : ''}`;
+      }
+    }
+  }
+}
+
+// Toggle microphone
+micBtn.onclick = () => setMicMuted(!isMicMuted);
+
+// Turn the local camera off or back on
+function setCameraOff(off) {
+  if (localStream) {
+    const videoTrack = localStream.getVideoTracks()[0];
+    if (videoTrack) {
+      isCameraOff = off;
+      videoTrack.enabled = !isCameraOff;
+      cameraBtn.textContent = isCameraOff ? '📹' : '📹';
+      cameraBtn.className = `control-btn ${isCameraOff ? 'muted' : ''}`;
+      
+      // Update local video display
+      const localParticipant = participants.get('local');
+      if (localParticipant) {
+        localParticipant.setStream(localStream);
+        
+        // If in audio-only mode, update the display to reflect camera state
+        if (currentVideoQuality === 'AUDIO_ONLY') {
+          updateVideoDisplayForAudioOnly();
+        }
+      }
+    }
+  }
+}
+
+// Toggle camera
+cameraBtn.onclick = () => setCameraOff(!isCameraOff);
+
+// Handle WebSocket messages
+async function handleSignalingMessage({ data }) {
+  const message = JSON.parse(data);
+  console.log('📨 Received:', message.type, message);
+
+  switch (message.type) {
+    case 'room-joined':
+      myId = message.yourId;
+      resumeToken = message.resumeToken;
+      awaitingSeat = null;
+      roomOwnerId = message.ownerId;
+      isRoomLocked = message.locked;
+      roomMode = message.mode;
+      rtcConfiguration = { ...RTC_CONFIGURATION, ...message.iceConfiguration };
+      if (rtcConfiguration.iceTransportPolicy === 'relay') {
+        console.log('🔒 Relay-only mode: all media goes through TURN');
+      }
+      console.log(`🎉 Joined as ${myId}${roomOwnerId === myId ? ' (room owner)' : ''} in ${roomMode} mode${message.viewer ? ' as a viewer' : ''}`);
+      waitingOverlay.classList.add('hidden');
+      roomFullOverlay.classList.add('hidden');
+      setViewerMode(message.viewer);
+      updateRoomControls();
+      
+      for (let i = 0; i < message.users.length; i++) {
+        const user = message.users[i];
+        if (!participants.has(user.id)) {
+          participants.set(user.id, new Participant(user.id, false, user));
+        }
+        if (user.screenSharing) {
+          presenterId = user.id;
+          updateGridLayout();
+        }
+        // Viewers have nothing to exchange with each other
+        if (roomMode === 'mesh' && !(isViewer && user.viewer)) {
+          setTimeout(() => {
+            createOfferFor(user.id);
+          }, i * 500);
+        }
+      }
+      
+      // In SFU mode we publish once; the server sends everyone else's media back
+      if (roomMode === 'sfu') {
+        startSfuSession();
+      }
+      break;
+
+    case 'resumed':
+      // Same id on a new socket; catch up on whatever changed while we were away
+      console.log(`🔌 Resumed session as ${message.yourId}`);
+      resumeToken = message.resumeToken;
+      roomOwnerId = message.ownerId;
+      isRoomLocked = message.locked;
+      rtcConfiguration = { ...RTC_CONFIGURATION, ...message.iceConfiguration };
+      // Fresh TURN credentials for later ICE restarts on the connections we kept
+      peerConnections.forEach((pc, peerId) => {
+        try {
+          pc.setConfiguration(rtcConfiguration);
+        } catch (error) {
+          console.warn(`Could not update ICE servers for ${peerId}:`, error);
+        }
+      });
+      updateRoomControls();
+      syncParticipantsAfterResume(message.users);
+      break;
+
+    case 'error':
+      // The server refused something we sent (malformed, unknown or over its rate limits)
+      console.warn(`🚫 Server rejected a message (${message.code}): ${message.message}`);
+      break;
+
+    case 'resume-failed':
+      // Gone longer than the server's grace period, so our slot was given up
+      resumeToken = null;
+      rejoinRoom();
+      break;
 
     case 'user-joined':
       console.log(`👋 User ${message.userId} joined`);
-      const newParticipant = new Participant(message.userId);
+      const newParticipant = new Participant(message.userId, false, {
+        name: message.name,
+        color: message.color,
+        viewer: message.viewer
+      });
       participants.set(message.userId, newParticipant);
       break;
 
-    case 'user-left':
-      console.log(`👋 User ${message.userId} left`);
-      const participant = participants.get(message.userId);
-      if (participant) {
-        participant.remove();
-        participants.delete(message.userId);
+    case 'join-error':
+      console.warn(`🚫 Could not join room ${message.room}: ${message.code}`);
+      leaveMeeting(false);
+      showNotice(message.message);
+      if (message.code === 'password-required' || message.code === 'wrong-password') {
+        roomPasswordInput.focus();
       }
-      
-      const pc = peerConnections.get(message.userId);
-      if (pc) {
-        pc.close();
-        peerConnections.delete(message.userId);
+      break;
+
+    case 'room-full':
+      console.warn(`🚧 Room ${message.room} is full (${message.maxSize} participants)`);
+      awaitingSeat = null;
+      roomFullText.textContent = message.viewer
+        ? 'All viewer seats are taken too. You can wait in line for a seat.'
+        : `The room is limited to ${message.maxSize} participants. Wait in line for a seat${message.viewerSeats ? ', or join as a viewer who can watch and listen' : ''}.`;
+      queueBtn.classList.remove('hidden');
+      viewerBtn.classList.toggle('hidden', !message.viewerSeats || message.viewer);
+      waitingOverlay.classList.add('hidden');
+      roomFullOverlay.classList.remove('hidden');
+      break;
+
+    case 'queued':
+      console.log(`⏳ Queued for ${message.room} at position ${message.position}`);
+      awaitingSeat = 'queued';
+      roomFullText.textContent = `You're #${message.position} in line. You'll join as soon as a seat comes free.`;
+      queueBtn.classList.add('hidden');
+      viewerBtn.classList.add('hidden');
+      waitingOverlay.classList.add('hidden');
+      roomFullOverlay.classList.remove('hidden');
+      break;
+
+    case 'waiting-for-host':
+      console.log(`⏳ Waiting for the host to admit us to ${message.room}`);
+      awaitingSeat = 'waiting';
+      roomFullOverlay.classList.add('hidden');
+      waitingOverlay.classList.remove('hidden');
+      break;
+
+    case 'knock':
+      console.log(`🚪 ${message.user.name || message.user.id} is waiting to join`);
+      waitingUsers.set(message.user.id, message.user);
+      renderWaitingPanel();
+      break;
+
+    case 'knock-cancelled':
+      waitingUsers.delete(message.userId);
+      renderWaitingPanel();
+      break;
+
+    case 'waiting-list':
+      waitingUsers.clear();
+      message.users.forEach((user) => waitingUsers.set(user.id, user));
+      renderWaitingPanel();
+      break;
+
+    case 'owner-changed':
+      roomOwnerId = message.ownerId;
+      console.log(`👑 Room owner is now ${roomOwnerId}`);
+      if (roomOwnerId === myId) {
+        showNotice('You are now the room owner', 'info');
+      } else {
+        waitingUsers.clear();
       }
-      
-      // Remove network stats for this peer
-      networkStats.delete(message.userId);
+      updateRoomControls();
+      renderWaitingPanel();
+      break;
+
+    case 'mute-request':
+      console.log(`🔇 Host ${message.fromId} asked us to mute`);
+      if (!isMicMuted) {
+        setMicMuted(true);
+        showNotice('🔇 The host muted your microphone', 'info');
+      }
+      break;
+
+    case 'removed-by-host':
+      console.log(`🚫 Removed from room ${message.room} by the host`);
+      leaveMeeting(false);
+      showNotice('You were removed from the meeting by the host');
+      break;
+
+    case 'meeting-ended':
+      console.log(`⏹️ Meeting in room ${message.room} ended by the host`);
+      leaveMeeting(false);
+      showNotice('The host ended the meeting for everyone', 'info');
+      break;
+
+    case 'room-lock-changed':
+      isRoomLocked = message.locked;
+      showNotice(isRoomLocked ? '🔒 Room locked - no new participants can join' : '🔓 Room unlocked', 'info');
+      updateRoomControls();
+      break;
+
+    case 'user-updated':
+      const updatedParticipant = participants.get(message.userId);
+      if (updatedParticipant) {
+        console.log(`✏️ User ${message.userId} is now ${message.name}`);
+        updatedParticipant.setProfile({ name: message.name, color: message.color });
+      }
+      break;
+
+    case 'user-left':
+      console.log(`👋 User ${message.userId} left`);
+      removePeer(message.userId);
+      break;
+
+    case 'screen-share-changed':
+      handleRemoteScreenShare(message.userId, message.sharing);
       break;
 
     case 'offer':
@@ -1873,26 +3782,296 @@ ws.onmessage = async ({ data }) => {
       await handleCandidate(message.fromId, message.candidate);
       break;
       
+    case 'sfu-offer':
+      await handleSfuOffer(message.offer, message.tracks);
+      break;
+
+    case 'sfu-answer':
+      await handleAnswer(SFU_PEER_ID, message.answer);
+      break;
+
+    case 'sfu-candidate':
+      await handleCandidate(SFU_PEER_ID, message.candidate);
+      break;
+
+    case 'sfu-error':
+      console.error(`📡 SFU error: ${message.message}`);
+      showNotice(message.message);
+      // The server dropped our session; publish again on a new connection
+      if (message.closed) {
+        restartSfuSession(peerConnections.get(SFU_PEER_ID));
+      }
+      break;
+      
+    case 'chat':
+      // Chat relayed by the server because a data channel was not open
+      receiveChatMessage(message.fromId, message.message);
+      break;
+      
     case 'connection-failed':
-      console.log(`🔄 Connection failed message from ${message.fromId}, retrying...`);
-      setTimeout(() => {
-        if (participants.has(message.fromId)) {
-          reconnectToPeer(message.fromId);
-        }
-      }, 2000);
+      // The peer dropped its side of the connection, so an ICE restart can't help
+      console.log(`🔄 Connection failed message from ${message.fromId}`);
+      schedulePeerRecovery(message.fromId, 'peer reported failure', false);
       break;
   }
-};
+}
+
+function removePeer(peerId) {
+  const participant = participants.get(peerId);
+  if (participant) {
+    participant.remove();
+    participants.delete(peerId);
+  }
+  
+  closePeerConnection(peerId);
+  
+  // Remove network stats, adaptation and candidate state for this peer
+  networkStats.delete(peerId);
+  adaptation.reset(peerId);
+  clearCandidateState(peerId);
+  clearPeerRecovery(peerId);
+  updateCurrentVideoQuality();
+  failTransfersForPeer(peerId);
+  
+  if (presenterId === peerId) {
+    presenterId = findPresenter();
+    updateGridLayout();
+  }
+}
+
+// After a resume: drop peers that left while we were away and connect to ones who joined
+function syncParticipantsAfterResume(users) {
+  const present = new Set(users.map(user => user.id));
+  Array.from(participants.keys())
+    .filter(peerId => peerId !== 'local' && !present.has(peerId))
+    .forEach(removePeer);
+  
+  users.forEach(user => {
+    if (participants.has(user.id)) return;
+    participants.set(user.id, new Participant(user.id, false, user));
+    if (roomMode === 'mesh' && !(isViewer && user.viewer)) {
+      createOfferFor(user.id);
+    }
+  });
+}
+
+// Start over in the same room when the old session can't be resumed
+function rejoinRoom() {
+  if (!localStream) return;
+  console.log(`🔄 Rejoining room ${currentRoom}`);
+  
+  Array.from(participants.keys())
+    .filter(peerId => peerId !== 'local')
+    .forEach(removePeer);
+  
+  const sfuPc = peerConnections.get(SFU_PEER_ID);
+  if (sfuPc) {
+    sfuPc.close();
+    peerConnections.delete(SFU_PEER_ID);
+    networkStats.delete(SFU_PEER_ID);
+    pendingCandidates.delete(SFU_PEER_ID);
+    sfuTrackOwners.clear();
+  }
+  
+  sendJoinRoom(isViewer ? { viewer: true } : {});
+}
+
+// Publish our media to the SFU on a single connection
+async function startSfuSession() {
+  console.log('📡 Starting SFU session');
+  const pc = createSfuConnection();
+  
+  if (isViewer) {
+    // Nothing to publish; ask for forwarded media only
+    pc.addTransceiver('audio', { direction: 'recvonly' });
+    pc.addTransceiver('video', { direction: 'recvonly' });
+  } else if (localStream) {
+    // Add our own tracks first so getSenderByKind finds them before forwarded m-lines
+    localStream.getTracks().forEach(track => {
+      if (track.kind === 'audio') {
+        pc.addTrack(track, localStream);
+        return;
+      }
+      
+      // Video goes up once as three simulcast layers; the SFU picks one per receiver
+      pc.addTransceiver(getOutgoingVideoTrack(), {
+        direction: 'sendrecv',
+        streams: [localStream],
+        sendEncodings: SIMULCAST_LAYERS.map(({ rid, maxBitrate, scaleResolutionDownBy, maxFramerate }) => ({
+          rid, maxBitrate, scaleResolutionDownBy, maxFramerate
+        }))
+      });
+    });
+  }
+  
+  try {
+    const offer = await pc.createOffer();
+    await pc.setLocalDescription(offer);
+    sendSignal({ type: 'sfu-offer', offer });
+  } catch (error) {
+    console.error('❌ Error creating SFU offer:', error);
+    showNotice('Could not connect to the media server');
+  }
+}
+
+function createSfuConnection() {
+  const pc = new RTCPeerConnection(rtcConfiguration);
+  resetPeerQuality(SFU_PEER_ID);
+  
+  pc.onconnectionstatechange = () => {
+    console.log(`📡 SFU connection: ${pc.connectionState}`);
+    
+    // Republish from scratch; the server replaces our session on a new offer
+    if (pc.connectionState === 'failed' && peerConnections.get(SFU_PEER_ID) === pc) {
+      showNotice('Lost connection to the media server, reconnecting...');
+      setTimeout(() => restartSfuSession(pc), 3000);
+    }
+    updateStats();
+  };
+  
+  pc.onicecandidate = (event) => {
+    if (event.candidate) {
+      sendSignal({ type: 'sfu-candidate', candidate: event.candidate });
+    }
+  };
+  
+  // Forwarded tracks are matched to participants by the mids the server announced
+  pc.ontrack = (event) => {
+    const mid = event.transceiver.mid;
+    const userId = sfuTrackOwners.get(mid);
+    if (!userId) {
+      console.warn(`📡 Received ${event.track.kind} track on unknown mid ${mid}`);
+      return;
+    }
+    console.log(`📹 Received ${event.track.kind} track from ${userId} via SFU`);
+    
+    let participant = participants.get(userId);
+    if (!participant) {
+      participant = new Participant(userId);
+      participants.set(userId, participant);
+    }
+    
+    if (!participant.sfuStream) {
+      participant.sfuStream = new MediaStream();
+    }
+    participant.sfuStream.getTracks()
+      .filter(track => track.kind === event.track.kind)
+      .forEach(track => participant.sfuStream.removeTrack(track));
+    participant.sfuStream.addTrack(event.track);
+    participant.setStream(participant.sfuStream);
+  };
+  
+  peerConnections.set(SFU_PEER_ID, pc);
+  return pc;
+}
+
+// The server renegotiates whenever someone starts or stops publishing
+async function handleSfuOffer(offer, tracks) {
+  const pc = peerConnections.get(SFU_PEER_ID);
+  if (!pc) return;
+  
+  tracks.forEach(({ mid, userId }) => sfuTrackOwners.set(mid, userId));
+  
+  try {
+    await pc.setRemoteDescription(offer);
+    flushPendingCandidates(SFU_PEER_ID);
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    sendSignal({ type: 'sfu-answer', answer });
+  } catch (error) {
+    console.error('❌ Error handling SFU offer:', error);
+  }
+}
+
+function restartSfuSession(failedPc) {
+  if (peerConnections.get(SFU_PEER_ID) !== failedPc || !localStream) return;
+  
+  failedPc.close();
+  peerConnections.delete(SFU_PEER_ID);
+  networkStats.delete(SFU_PEER_ID);
+  pendingCandidates.delete(SFU_PEER_ID);
+  sfuTrackOwners.clear();
+  sfuReceiveQuality = 'HIGH'; // New server sessions start on the top layer
+  startSfuSession();
+}
+
+// Retry a broken connection after an exponentially growing delay, giving up after
+// RECOVERY_MAX_ATTEMPTS. The first attempt restarts ICE on the existing connection.
+function schedulePeerRecovery(peerId, reason, allowIceRestart = true) {
+  const recovery = peerRecovery.get(peerId) || { attempts: 0, timer: null };
+  peerRecovery.set(peerId, recovery);
+  if (recovery.timer) return; // An attempt is already on its way
+  
+  if (recovery.attempts >= RECOVERY_MAX_ATTEMPTS) {
+    console.error(`❌ Giving up on ${peerId} after ${recovery.attempts} recovery attempts (${reason})`);
+    const participant = participants.get(peerId);
+    const infoElement = participant && participant.tileElement.querySelector('.participant-info');
+    if (infoElement) {
+      infoElement.textContent = `${participant.name} (connection failed)`;
+      infoElement.style.background = 'rgba(220, 53, 69, 0.8)'; // Red
+    }
+    return;
+  }
+  
+  recovery.attempts++;
+  const delay = Math.min(RECOVERY_BASE_DELAY * 2 ** (recovery.attempts - 1), RECOVERY_MAX_DELAY);
+  const restartIce = allowIceRestart && recovery.attempts === 1;
+  console.log(`🔄 ${reason} with ${peerId}: ${restartIce ? 'ICE restart' : 'reconnect'} ${recovery.attempts}/${RECOVERY_MAX_ATTEMPTS} in ${delay}ms`);
+  
+  recovery.timer = setTimeout(() => {
+    recovery.timer = null;
+    if (!participants.has(peerId) || !localStream) return;
+    
+    const pc = peerConnections.get(peerId);
+    if (restartIce && pc && pc.remoteDescription && pc.connectionState !== 'closed') {
+      restartPeerIce(peerId, pc);
+    } else {
+      reconnectToPeer(peerId);
+    }
+  }, delay);
+}
+
+function clearPeerRecovery(peerId) {
+  const recovery = peerRecovery.get(peerId);
+  if (recovery && recovery.timer) {
+    clearTimeout(recovery.timer);
+  }
+  peerRecovery.delete(peerId);
+}
+
+// New ICE credentials on the existing connection: media and data channels survive, only the path changes
+async function restartPeerIce(peerId, pc) {
+  const negotiation = pc.negotiation;
+  try {
+    negotiation.makingOffer = true;
+    const offer = await pc.createOffer({ iceRestart: true });
+    await pc.setLocalDescription(offer);
+    console.log(`🧊 Sending ICE restart offer to ${peerId}`);
+    sendSignal({
+      type: 'offer',
+      offer: pc.localDescription,
+      targetId: peerId
+    });
+  } catch (error) {
+    console.error(`❌ ICE restart with ${peerId} failed:`, error);
+    schedulePeerRecovery(peerId, 'ICE restart failed', false);
+  } finally {
+    negotiation.makingOffer = false;
+  }
+  
+  // Fall back to a full reconnect if the restart doesn't bring the connection back
+  setTimeout(() => {
+    if (peerConnections.get(peerId) === pc && pc.connectionState !== 'connected') {
+      schedulePeerRecovery(peerId, 'ICE restart timed out', false);
+    }
+  }, 10000);
+}
 
 // Reconnect to a peer that has connection issues
 async function reconnectToPeer(participantId) {
   console.log(`🔄 Reconnecting to ${participantId}`);
   
-  const existingPc = peerConnections.get(participantId);
-  if (existingPc) {
-    existingPc.close();
-    peerConnections.delete(participantId);
-  }
+  closePeerConnection(participantId);
   
   await new Promise(resolve => setTimeout(resolve, 1000));
   
@@ -1902,9 +4081,22 @@ async function reconnectToPeer(participantId) {
   }
 }
 
-// Create offer for a specific peer with enhanced error handling
-async function createOfferFor(peerId) {
-  console.log(`📤 Creating offer for ${peerId}`);
+function closePeerConnection(peerId) {
+  const pc = peerConnections.get(peerId);
+  if (pc) {
+    pc.close();
+    peerConnections.delete(peerId);
+  }
+  // Candidates buffered for the old connection would only fail on the next one
+  pendingCandidates.delete(peerId);
+}
+
+// The mesh connection to a peer, created with our tracks attached if there isn't one yet
+function getOrCreatePeerConnection(peerId) {
+  const existing = peerConnections.get(peerId);
+  if (existing && existing.connectionState !== 'closed') {
+    return existing;
+  }
   
   if (!participants.has(peerId)) {
     const participant = new Participant(peerId);
@@ -1913,13 +4105,13 @@ async function createOfferFor(peerId) {
   
   const pc = createPeerConnection(peerId);
   
-  if (localStream) {
+  if (localStream && !isViewer) {
     localStream.getTracks().forEach(track => {
       console.log(`Adding ${track.kind} track to ${peerId} - Enabled: ${track.enabled}, ReadyState: ${track.readyState}`);
       if (track.kind === 'audio') {
         console.log(`🎤 Audio track settings for ${peerId}:`, track.getSettings());
       }
-      pc.addTrack(track, localStream);
+      pc.addTrack(track.kind === 'video' ? getOutgoingVideoTrack() : track, localStream);
     });
     
     // Debug outbound audio after adding tracks
@@ -1935,115 +4127,181 @@ async function createOfferFor(peerId) {
       });
     }, 1000);
   }
+  
+  return pc;
+}
 
-  try {
-    const offer = await pc.createOffer({
-      offerToReceiveAudio: true,
-      offerToReceiveVideo: true,
-      voiceActivityDetection: true,
-      iceRestart: false
-    });
-    
-    await pc.setLocalDescription(offer);
-    
-    console.log(`📤 Sending offer to ${peerId}`);
-    ws.send(JSON.stringify({
-      type: 'offer',
-      offer: offer,
-      targetId: peerId
-    }));
-    
-    setTimeout(() => {
-      if (pc.connectionState === 'connecting' || pc.connectionState === 'new') {
-        console.log(`⏰ Connection timeout for ${peerId}, attempting reconnect`);
-        reconnectToPeer(peerId);
-      }
-    }, 15000);
-    
-  } catch (error) {
-    console.error(`❌ Error creating offer for ${peerId}:`, error);
-    
-    setTimeout(() => {
-      console.log(`🔄 Retrying offer creation for ${peerId}`);
-      createOfferFor(peerId);
-    }, 5000);
-  }
+// Connect to a peer; adding our tracks fires onnegotiationneeded, which sends the offer
+async function createOfferFor(peerId) {
+  console.log(`📤 Creating offer for ${peerId}`);
+  
+  const pc = getOrCreatePeerConnection(peerId);
+
+  // Receive audio and video even when we have nothing of that kind to send
+  ['audio', 'video'].forEach(kind => {
+    if (!pc.getTransceivers().some(t => t.receiver.track.kind === kind)) {
+      pc.addTransceiver(kind, { direction: 'recvonly' });
+    }
+  });
+
+  setTimeout(() => {
+    if (peerConnections.get(peerId) !== pc) return;
+    if (pc.connectionState === 'connecting' || pc.connectionState === 'new') {
+      console.log(`⏰ Connection timeout for ${peerId}`);
+      schedulePeerRecovery(peerId, 'connection timeout');
+    }
+  }, 15000);
 }
 
-// Handle incoming offer with improved error handling
+// Handle an incoming offer: a first connection, a renegotiation, or a collision with our own offer
 async function handleOffer(fromId, offer) {
   console.log(`📥 Handling offer from ${fromId}`);
   
-  if (!participants.has(fromId)) {
-    const participant = new Participant(fromId);
-    participants.set(fromId, participant);
-  }
-  
-  const pc = createPeerConnection(fromId);
+  let pc = getOrCreatePeerConnection(fromId);
+  const negotiation = pc.negotiation;
+  const readyForOffer = !negotiation.makingOffer &&
+    (pc.signalingState === 'stable' || negotiation.isSettingRemoteAnswerPending);
   
-  if (localStream) {
-    localStream.getTracks().forEach(track => {
-      pc.addTrack(track, localStream);
-    });
+  negotiation.ignoreOffer = !readyForOffer && !negotiation.polite;
+  if (negotiation.ignoreOffer) {
+    console.log(`🤝 Offer collision with ${fromId}: keeping our offer`);
+    return;
+  }
+  if (!readyForOffer) {
+    console.log(`🤝 Offer collision with ${fromId}: rolling back our offer`);
   }
 
   try {
-    await pc.setRemoteDescription(offer);
-    
-    const answer = await pc.createAnswer({
-      voiceActivityDetection: true
-    });
+    try {
+      // Rolls back our pending offer implicitly when we're the polite side
+      await pc.setRemoteDescription(offer);
+    } catch (error) {
+      // A peer that rebuilt its connection has a new DTLS identity we can't adopt in place
+      console.warn(`🔄 Offer from ${fromId} doesn't fit the existing connection, replacing it:`, error);
+      closePeerConnection(fromId);
+      pc = getOrCreatePeerConnection(fromId);
+      await pc.setRemoteDescription(offer);
+    }
+    flushPendingCandidates(fromId);
     
-    await pc.setLocalDescription(answer);
+    await pc.setLocalDescription();
     
     console.log(`📤 Sending answer to ${fromId}`);
-    ws.send(JSON.stringify({
+    sendSignal({
       type: 'answer',
-      answer: answer,
+      answer: pc.localDescription,
       targetId: fromId
-    }));
+    });
     
   } catch (error) {
     console.error(`❌ Error handling offer from ${fromId}:`, error);
     
-    pc.close();
-    peerConnections.delete(fromId);
+    closePeerConnection(fromId);
     
-    ws.send(JSON.stringify({
+    sendSignal({
       type: 'connection-failed',
       targetId: fromId
-    }));
+    });
   }
 }
 
-// Handle incoming answer
+// Handle incoming answer (mesh peers and the SFU)
 async function handleAnswer(fromId, answer) {
   console.log(`📥 Handling answer from ${fromId}`);
   
   const pc = peerConnections.get(fromId);
-  if (pc) {
-    try {
-      await pc.setRemoteDescription(answer);
-    } catch (error) {
-      console.error(`❌ Error handling answer from ${fromId}:`, error);
+  if (!pc) return;
+  
+  // Our offer may have been rolled back after a collision
+  if (pc.signalingState !== 'have-local-offer') {
+    console.log(`🤝 Ignoring answer from ${fromId} in ${pc.signalingState} state`);
+    return;
+  }
+  
+  try {
+    if (pc.negotiation) {
+      pc.negotiation.isSettingRemoteAnswerPending = true;
+    }
+    await pc.setRemoteDescription(answer);
+    flushPendingCandidates(fromId);
+  } catch (error) {
+    console.error(`❌ Error handling answer from ${fromId}:`, error);
+  } finally {
+    if (pc.negotiation) {
+      pc.negotiation.isSettingRemoteAnswerPending = false;
     }
   }
 }
 
-// Handle incoming ICE candidate
+// Handle incoming ICE candidate. Candidates can beat the offer or answer they belong to
+// (the pre-gathered pool trickles immediately), so they wait until the remote description is set.
 async function handleCandidate(fromId, candidate) {
   console.log(`📥 Handling candidate from ${fromId}`);
   
   const pc = peerConnections.get(fromId);
-  if (pc) {
-    try {
-      await pc.addIceCandidate(candidate);
-    } catch (error) {
-      console.error(`❌ Error handling candidate from ${fromId}:`, error);
+  if (!pc || !pc.remoteDescription) {
+    // Still in flight when the peer left: nothing would ever flush or clear it
+    if (!pc && fromId !== SFU_PEER_ID && !participants.has(fromId)) {
+      console.warn(`🧊 Dropping candidate from ${fromId}, who is no longer in the room`);
+      return;
+    }
+    if (!pendingCandidates.has(fromId)) {
+      pendingCandidates.set(fromId, []);
+    }
+    const candidates = pendingCandidates.get(fromId);
+    const stats = getCandidateStats(fromId);
+    // The oldest are the likeliest to be stale, e.g. from before an ICE restart
+    if (candidates.length >= MAX_PENDING_CANDIDATES) {
+      candidates.shift();
+      stats.dropped++;
+    }
+    candidates.push(candidate);
+    stats.buffered++;
+    return;
+  }
+  
+  await addIceCandidate(pc, fromId, candidate);
+}
+
+async function addIceCandidate(pc, peerId, candidate) {
+  const stats = getCandidateStats(peerId);
+  try {
+    await pc.addIceCandidate(candidate);
+    stats.applied++;
+  } catch (error) {
+    stats.failed++;
+    // Candidates for an offer we ignored are expected to fail
+    if (!pc.negotiation || !pc.negotiation.ignoreOffer) {
+      console.error(`❌ Error handling candidate from ${peerId}:`, error);
     }
   }
 }
 
+// Apply candidates buffered for a peer, once setRemoteDescription has completed
+async function flushPendingCandidates(peerId) {
+  const pc = peerConnections.get(peerId);
+  const candidates = pendingCandidates.get(peerId);
+  if (!pc || !pc.remoteDescription || !candidates) return;
+  
+  pendingCandidates.delete(peerId);
+  console.log(`🧊 Applying ${candidates.length} buffered candidate(s) from ${peerId}`);
+  for (const candidate of candidates) {
+    await addIceCandidate(pc, peerId, candidate);
+  }
+}
+
+function getCandidateStats(peerId) {
+  if (!candidateStats.has(peerId)) {
+    candidateStats.set(peerId, { buffered: 0, applied: 0, failed: 0, dropped: 0 });
+  }
+  return candidateStats.get(peerId);
+}
+
+function clearCandidateState(peerId) {
+  pendingCandidates.delete(peerId);
+  candidateStats.delete(peerId);
+}
+
 // Create network monitoring UI indicators
 function createNetworkIndicators() {
   // Create network quality indicator
@@ -2108,9 +4366,13 @@ function createNetworkIndicators() {
     console.log(`🔄 Adaptive mode ${isAdaptiveMode ? 'enabled' : 'disabled'}`);
     
     // If disabling adaptive mode, reset to high quality immediately
-    if (!isAdaptiveMode && currentVideoQuality !== 'HIGH') {
+    if (!isAdaptiveMode) {
       console.log('📹 Resetting to HIGH quality (adaptive mode disabled)');
-      adjustVideoQualityForAllPeers('HIGH');
+      adjustVideoQualityForAllPeers('HIGH', 'adaptive mode disabled');
+      if (roomMode === 'sfu') {
+        adaptation.setQuality(SFU_DOWNLINK_ID, 'HIGH', 'adaptive mode disabled');
+        requestSimulcastLayer('HIGH');
+      }
     }
   };
   
@@ -2139,6 +4401,14 @@ setInterval(updateStats, 2000);
 // Add audio diagnosis to window for console access
 window.diagnoseAudioIssues = diagnoseAudioIssues;
 
+// Full adaptation decision log, with the metrics behind each decision
+window.getAdaptationLog = (linkId) => adaptation.getLog(linkId);
+window.getProbeHistory = (linkId) => adaptation.getProbes(linkId);
+
+// Network simulation from the console, e.g. runNetworkScenario('loss-burst').then(console.log)
+window.runNetworkScenario = startNetworkSimulation;
+window.stopNetworkScenario = finishNetworkSimulation;
+
 // Add keyboard shortcut for audio diagnosis (Ctrl+Alt+D)
 document.addEventListener('keydown', (event) => {
   if (event.ctrlKey && event.altKey && event.key === 'd') {
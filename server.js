@@ -3,44 +3,156 @@ const { WebSocketServer } = require("ws");
 const http = require("http");
 const os = require("os");
 const crypto = require("crypto");
+const util = require("util");
+const path = require("path");
+const fs = require("fs");
+const sfu = require("./sfu");
+const { MAX_MESSAGE_BYTES, parseMessage, createRateLimitState, checkRateLimit, recordViolation } = require("./signaling-schema");
+const { DEFAULT_ADAPTATION_POLICY, mergeAdaptationPolicy } = require("./public/adaptation");
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+// Oversized frames are refused (close code 1009) before ws buffers them
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_BYTES });
 
 // Store connected users and rooms
 const users = new Map();
 const rooms = new Map();
 
+// Per-room settings: owner (host), optional password, lock state and waiting room
+const roomSettings = new Map();
+
+// Room ids must be URL-safe since they are shared as /r/<room> links
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Participant profile limits
+const MAX_NAME_LENGTH = 40;
+const AVATAR_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Media topologies: "mesh" (peer-to-peer) or "sfu" (forwarded by this server)
+const ROOM_MODES = ["mesh", "sfu"];
+
+// Room capacity. Participants publish media (the client's grid layouts go up to nine);
+// viewers only receive it, and fill overflow seats once the room is full (0 disables them)
+const MAX_ROOM_SIZE = Number(process.env.MAX_ROOM_SIZE) || 9;
+const MAX_ROOM_VIEWERS = Number(process.env.MAX_ROOM_VIEWERS ?? 20);
+
+// Network adaptation policy sent to clients; ADAPTATION_POLICY_FILE may point at a
+// JSON file that overrides any of the defaults in public/adaptation.js
+const ADAPTATION_POLICY = loadAdaptationPolicy(process.env.ADAPTATION_POLICY_FILE);
+
+// ICE servers handed to each client in room-joined. TURN_URLS point at a coturn server
+// run with `use-auth-secret` and `static-auth-secret` set to TURN_SECRET.
+const ICE_SETTINGS = loadIceSettings(process.env);
+
+// A dropped connection keeps its room slot this long, so the client can resume it with the
+// resumeToken from room-joined and keep its id (0 disables resuming)
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS ?? 30000);
+const resumeTokens = new Map(); // resumeToken -> ws the session was last on
+
+// Every socket is pinged each interval; one that hasn't answered with a pong within the
+// timeout is half-open (the client vanished without closing) and gets reaped
+const HEARTBEAT_INTERVAL_MS = Number(process.env.HEARTBEAT_INTERVAL_MS) || 15000;
+const HEARTBEAT_TIMEOUT_MS = Number(process.env.HEARTBEAT_TIMEOUT_MS) || 45000;
+const heartbeatStats = { reaped: 0, reapedInRoom: 0, reapedWaiting: 0, lastReapedAt: null };
+let heartbeatInterval = null;
+
 wss.on("connection", (ws) => {
   const userId = crypto.randomUUID();
-  users.set(ws, { id: userId, room: null });
+  users.set(ws, {
+    id: userId,
+    room: null,
+    pendingRoom: null,
+    name: null,
+    color: null,
+    screenSharing: false,
+    joinAttempt: 0,
+    lastPongAt: Date.now(),
+    rateLimit: createRateLimitState()
+  });
   
   console.log(`User ${userId} connected`);
 
+  // Protocol errors such as an oversized frame; ws closes the socket itself
+  ws.on("error", (error) => {
+    const user = users.get(ws);
+    console.warn(`WebSocket error from ${user ? user.id : "unknown user"}: ${error.message}`);
+  });
+
+  ws.on("pong", () => {
+    const user = users.get(ws);
+    if (user) {
+      user.lastPongAt = Date.now();
+    }
+  });
+
   ws.on("message", (message) => {
-    try {
-      const data = JSON.parse(message.toString());
-      const user = users.get(ws);
-      
-      if (!user) return;
+    const user = users.get(ws);
+    if (!user) return;
 
+    const { data, error } = parseMessage(message);
+    const rejection = error || checkRateLimit(user.rateLimit, data.type);
+    if (rejection) {
+      rejectMessage(ws, user, rejection);
+      return;
+    }
+
+    try {
       switch (data.type) {
+        case "resume":
+          handleResume(ws, user, data.token);
+          break;
+          
         case "join-room":
-          handleJoinRoom(ws, user, data.room || "default");
+          applyProfile(user, data);
+          handleJoinRoom(ws, user, normalizeRoomId(data.room), data.password, {
+            waitingRoom: data.waitingRoom === true,
+            mode: data.mode,
+            viewer: data.viewer === true,
+            queue: data.queue === true
+          }).catch((error) => console.error("Error joining room:", error));
+          break;
+          
+        case "admit-user":
+          handleAdmitUser(ws, user, data.userId);
+          break;
+          
+        case "deny-user":
+          handleDenyUser(ws, user, data.userId);
+          break;
+          
+        case "remove-participant":
+        case "mute-participant":
+        case "mute-all":
+        case "end-meeting":
+          handleHostCommand(ws, user, data);
+          break;
+          
+        case "lock-room":
+          handleLockRoom(ws, user, data.locked === true);
+          break;
+          
+        case "update-profile":
+          handleUpdateProfile(ws, user, data);
+          break;
+          
+        case "screen-share":
+          handleScreenShare(ws, user, data.sharing === true);
           break;
           
         case "offer":
         case "answer":
         case "candidate":
-          // Forward signaling messages to specific target
-          if (data.targetId) {
-            const targetWs = findUserByIdInRoom(user.room, data.targetId);
-            if (targetWs) {
-              const forwardData = { ...data, fromId: user.id };
-              targetWs.send(JSON.stringify(forwardData));
-            }
-          }
+        case "connection-failed":
+        case "chat":
+          handleRelay(user, data);
+          break;
+          
+        case "sfu-offer":
+        case "sfu-answer":
+        case "sfu-candidate":
+        case "sfu-layer":
+          handleSfuSignal(ws, user, data);
           break;
           
         case "leave-room":
@@ -53,65 +165,200 @@ wss.on("connection", (ws) => {
   });
 
   ws.on("close", () => {
+    // Sessions that resumed on a new socket are no longer listed under this one
     const user = users.get(ws);
-    if (user) {
-      console.log(`User ${user.id} disconnected`);
-      handleLeaveRoom(ws, user);
-      users.delete(ws);
+    if (!user) return;
+
+    console.log(`User ${user.id} disconnected`);
+    if (user.room && RESUME_GRACE_MS > 0) {
+      // Hold the slot without telling the room; peers keep their connections meanwhile
+      user.graceTimer = setTimeout(() => {
+        console.log(`User ${user.id} did not resume within ${RESUME_GRACE_MS}ms`);
+        handleLeaveRoom(ws, user);
+        users.delete(ws);
+      }, RESUME_GRACE_MS);
+      return;
     }
+
+    handleLeaveRoom(ws, user);
+    users.delete(ws);
   });
 });
 
-function handleJoinRoom(ws, user, roomId) {
-  // Leave current room if in one
-  if (user.room) {
+async function handleJoinRoom(ws, user, roomId, password, options = {}) {
+  // Leave current room (or waiting room, or queue) if in one
+  if (user.room || user.pendingRoom || user.queuedRoom) {
     handleLeaveRoom(ws, user);
   }
 
-  // Create room if it doesn't exist
+  // Password hashing yields to other messages; a leave, a newer join or a closed
+  // socket in the meantime cancels this join
+  const attempt = ++user.joinAttempt;
+  const isCancelled = () => users.get(ws) !== user || user.joinAttempt !== attempt;
+
+  // Enforce lock and password on existing rooms
+  const existingSettings = roomSettings.get(roomId);
+  if (existingSettings) {
+    const joinError = await checkRoomAccess(existingSettings, password);
+    if (isCancelled()) return;
+    if (roomSettings.get(roomId) !== existingSettings) {
+      // The room closed while the password was checked; start over
+      return handleJoinRoom(ws, user, roomId, password, options);
+    }
+    if (joinError) {
+      console.log(`User ${user.id} refused from room ${roomId}: ${joinError.code}`);
+      ws.send(JSON.stringify({ type: "join-error", room: roomId, ...joinError }));
+      return;
+    }
+  }
+
+  // Full rooms offer a place in the queue, or a viewer seat while there are any left
+  user.viewer = Boolean(existingSettings) && options.viewer === true;
+  if (existingSettings && !hasRoomFor(roomId, user)) {
+    if (options.queue && !user.viewer) {
+      addToQueue(ws, user, roomId);
+      return;
+    }
+    console.log(`User ${user.id} refused from room ${roomId}: full`);
+    ws.send(JSON.stringify({
+      type: "room-full",
+      room: roomId,
+      viewer: user.viewer,
+      maxSize: MAX_ROOM_SIZE,
+      viewerSeats: hasRoomFor(roomId, { viewer: true })
+    }));
+    user.viewer = false;
+    return;
+  }
+
+  // Create room if it doesn't exist; the first joiner owns it and becomes host
   if (!rooms.has(roomId)) {
+    const settings = await createRoomSettings(user, password, options);
+    if (isCancelled()) return;
+    if (rooms.has(roomId)) {
+      // Someone else created it first, so it has their password and settings
+      return handleJoinRoom(ws, user, roomId, password, options);
+    }
     rooms.set(roomId, new Set());
+    roomSettings.set(roomId, settings);
+  } else if (existingSettings && existingSettings.waitingRoom) {
+    // Knock-to-enter: wait until the host admits or denies
+    addToWaitingRoom(ws, user, roomId);
+    return;
   }
 
+  admitToRoom(ws, user, roomId);
+}
+
+function admitToRoom(ws, user, roomId) {
   const room = rooms.get(roomId);
   room.add(ws);
   user.room = roomId;
 
   console.log(`User ${user.id} joined room ${roomId}`);
 
-  // Send current users in room to the new user
-  const otherUsers = [];
-  room.forEach((clientWs) => {
-    const clientUser = users.get(clientWs);
-    if (clientUser && clientWs !== ws) {
-      otherUsers.push({ id: clientUser.id });
-    }
-  });
-
   // Notify new user of existing users
-  ws.send(JSON.stringify({
-    type: "room-joined",
-    users: otherUsers,
-    yourId: user.id
-  }));
+  ws.send(JSON.stringify({ type: "room-joined", ...getRoomState(ws, user) }));
 
   // Notify existing users of new user
   room.forEach((clientWs) => {
     if (clientWs !== ws && clientWs.readyState === 1) {
       clientWs.send(JSON.stringify({
         type: "user-joined",
-        userId: user.id
+        userId: user.id,
+        name: user.name,
+        color: user.color,
+        viewer: user.viewer === true
       }));
     }
   });
 }
 
+// Everything a client needs on entering a room, or on resuming its session after a drop
+function getRoomState(ws, user) {
+  const settings = roomSettings.get(user.room);
+
+  const otherUsers = [];
+  rooms.get(user.room).forEach((clientWs) => {
+    const clientUser = users.get(clientWs);
+    if (clientUser && clientWs !== ws) {
+      otherUsers.push(getPublicProfile(clientUser));
+    }
+  });
+
+  // A fresh token each time, so a token can only be used once
+  resumeTokens.delete(user.resumeToken);
+  user.resumeToken = crypto.randomBytes(24).toString("base64url");
+  resumeTokens.set(user.resumeToken, ws);
+
+  return {
+    users: otherUsers,
+    yourId: user.id,
+    profile: getPublicProfile(user),
+    ownerId: settings.ownerId,
+    locked: settings.locked,
+    hasPassword: settings.passwordHash !== null,
+    waitingRoom: settings.waitingRoom,
+    mode: settings.mode,
+    iceConfiguration: createIceConfiguration(user.id),
+    resumeToken: user.resumeToken,
+    viewer: user.viewer === true
+  };
+}
+
+// Move a session held after a drop onto the client's new connection
+function handleResume(ws, user, token) {
+  const previousWs = resumeTokens.get(token);
+  const session = previousWs && users.get(previousWs);
+  if (!session || !session.room || previousWs === ws) {
+    console.log(`User ${user.id} could not resume a session`);
+    ws.send(JSON.stringify({ type: "resume-failed" }));
+    return;
+  }
+
+  if (user.room || user.pendingRoom || user.queuedRoom) {
+    handleLeaveRoom(ws, user);
+  }
+
+  clearTimeout(session.graceTimer);
+  session.graceTimer = null;
+  session.lastPongAt = Date.now();
+  users.set(ws, session);
+  users.delete(previousWs);
+
+  const room = rooms.get(session.room);
+  room.delete(previousWs);
+  room.add(ws);
+
+  // The old socket may not have noticed it is dead yet
+  if (previousWs.readyState !== previousWs.CLOSED) {
+    previousWs.terminate();
+  }
+
+  console.log(`User ${session.id} resumed in room ${session.room}`);
+  ws.send(JSON.stringify({ type: "resumed", ...getRoomState(ws, session) }));
+
+  // Knocks that arrived while the host was away
+  const settings = roomSettings.get(session.room);
+  if (isRoomHost(session) && settings.pending.size > 0) {
+    ws.send(JSON.stringify({ type: "waiting-list", users: getWaitingUsers(settings) }));
+  }
+}
+
 function handleLeaveRoom(ws, user) {
+  user.joinAttempt++;
+  if (user.pendingRoom) {
+    removeFromWaitingRoom(user);
+  }
+  if (user.queuedRoom) {
+    removeFromQueue(user);
+  }
   if (!user.room) return;
 
   const room = rooms.get(user.room);
   if (room) {
     room.delete(ws);
+    sfu.closeSfuSession(user.id);
     
     // Notify other users in room
     room.forEach((clientWs) => {
@@ -125,11 +372,628 @@ function handleLeaveRoom(ws, user) {
 
     // Clean up empty rooms
     if (room.size === 0) {
+      closeWaitingRoom(user.room);
       rooms.delete(user.room);
+      roomSettings.delete(user.room);
+    } else {
+      transferOwnershipIfNeeded(user.room, user);
+      admitFromQueue(user.room);
     }
   }
 
+  clearRoomSession(ws, user);
+}
+
+// Per-user state that only means something inside a room
+function clearRoomSession(ws, user) {
+  resumeTokens.delete(user.resumeToken);
+  user.resumeToken = null;
   user.room = null;
+  user.viewer = false;
+  user.screenSharing = false;
+
+  // Nothing is left to resume, so a held connection is gone for good
+  if (user.graceTimer) {
+    clearTimeout(user.graceTimer);
+    user.graceTimer = null;
+    users.delete(ws);
+  }
+}
+
+// Forward signaling (and relayed chat) messages to a specific target in the same room
+function handleRelay(user, data) {
+  if (!data.targetId) return;
+
+  const targetWs = findUserByIdInRoom(user.room, data.targetId);
+  if (targetWs) {
+    const forwardData = { ...data, fromId: user.id };
+    targetWs.send(JSON.stringify(forwardData));
+  }
+}
+
+// SFU rooms negotiate one connection per client with the server itself
+function handleSfuSignal(ws, user, data) {
+  const settings = roomSettings.get(user.room);
+  if (!settings || settings.mode !== "sfu") {
+    console.warn(`User ${user.id} sent ${data.type} outside an SFU room`);
+    return;
+  }
+
+  // Look the socket up on every send: a resumed session carries on over a new one
+  const send = (message) => {
+    const currentWs = findUserByIdInRoom(user.room, user.id);
+    if (currentWs && currentWs.readyState === 1) {
+      currentWs.send(JSON.stringify(message));
+    }
+  };
+
+  if (data.type === "sfu-layer") {
+    sfu.handleSfuLayer(user.id, data.quality);
+    return;
+  }
+
+  let pending;
+  switch (data.type) {
+    case "sfu-offer":
+      pending = sfu.handleSfuOffer(user.id, user.room, data.offer, send, { viewer: user.viewer === true });
+      break;
+    case "sfu-answer":
+      pending = sfu.handleSfuAnswer(user.id, data.answer);
+      break;
+    case "sfu-candidate":
+      pending = sfu.handleSfuCandidate(user.id, data.candidate);
+      break;
+  }
+
+  pending.catch((error) => {
+    console.error(`SFU ${data.type} from ${user.id} failed:`, error);
+    send({ type: "sfu-error", message: "The media server could not handle your connection." });
+  });
+}
+
+function handleUpdateProfile(ws, user, data) {
+  applyProfile(user, data);
+  if (!user.room) return;
+
+  console.log(`User ${user.id} is now known as ${user.name}`);
+
+  // Propagate renames to everyone else in the room
+  broadcastToRoom(user.room, {
+    type: "user-updated",
+    userId: user.id,
+    name: user.name,
+    color: user.color
+  }, ws);
+}
+
+// Let the room pin the presenter's tile
+function handleScreenShare(ws, user, sharing) {
+  if (!user.room) return;
+  if (user.viewer) {
+    console.warn(`User ${user.id} tried to share their screen from a viewer seat`);
+    return;
+  }
+
+  user.screenSharing = sharing;
+  console.log(`User ${user.id} ${sharing ? "started" : "stopped"} screen sharing`);
+
+  broadcastToRoom(user.room, {
+    type: "screen-share-changed",
+    userId: user.id,
+    sharing
+  }, ws);
+}
+
+function handleLockRoom(ws, user, locked) {
+  const settings = roomSettings.get(user.room);
+  if (!settings) return;
+
+  if (!isRoomHost(user)) {
+    console.warn(`User ${user.id} tried to lock room ${user.room} without owning it`);
+    return;
+  }
+
+  settings.locked = locked;
+  console.log(`Room ${user.room} ${locked ? "locked" : "unlocked"} by ${user.id}`);
+
+  broadcastToRoom(user.room, { type: "room-lock-changed", locked });
+}
+
+function handleAdmitUser(ws, user, userId) {
+  if (!isRoomHost(user)) {
+    console.warn(`User ${user.id} tried to admit ${userId} without being host`);
+    return;
+  }
+
+  const settings = roomSettings.get(user.room);
+
+  const pendingWs = settings.pending.get(userId);
+  const pendingUser = pendingWs && users.get(pendingWs);
+  if (!pendingUser) return;
+
+  // The room may have filled up while they were waiting
+  if (!hasRoomFor(user.room, pendingUser)) {
+    ws.send(JSON.stringify({ type: "error", code: "room-full", message: "The room is full; they stay in the waiting room." }));
+    admitFromQueue(user.room);
+    return;
+  }
+
+  const roomId = user.room;
+  settings.pending.delete(userId);
+  pendingUser.pendingRoom = null;
+  console.log(`User ${userId} admitted to room ${roomId} by ${user.id}`);
+
+  admitToRoom(pendingWs, pendingUser, roomId);
+}
+
+function handleDenyUser(ws, user, userId) {
+  if (!isRoomHost(user)) {
+    console.warn(`User ${user.id} tried to deny ${userId} without being host`);
+    return;
+  }
+
+  const settings = roomSettings.get(user.room);
+
+  const pendingWs = settings.pending.get(userId);
+  const pendingUser = pendingWs && users.get(pendingWs);
+  if (!pendingUser) return;
+
+  settings.pending.delete(userId);
+  pendingUser.pendingRoom = null;
+  console.log(`User ${userId} denied entry to room ${user.room} by ${user.id}`);
+
+  if (pendingWs.readyState === 1) {
+    pendingWs.send(JSON.stringify({
+      type: "join-error",
+      room: user.room,
+      code: "denied",
+      message: "The host did not let you in."
+    }));
+  }
+
+  // A denied user from the queue leaves their seat to the next in line
+  admitFromQueue(user.room);
+}
+
+// Moderation commands are only accepted from the room host
+function handleHostCommand(ws, user, data) {
+  if (!isRoomHost(user)) {
+    console.warn(`User ${user.id} sent ${data.type} without being host`);
+    return;
+  }
+
+  const roomId = user.room;
+
+  switch (data.type) {
+    case "remove-participant": {
+      const targetWs = findUserByIdInRoom(roomId, data.userId);
+      const targetUser = targetWs && users.get(targetWs);
+      if (!targetUser || targetWs === ws) return;
+
+      console.log(`User ${targetUser.id} removed from room ${roomId} by host ${user.id}`);
+      if (targetWs.readyState === 1) {
+        targetWs.send(JSON.stringify({ type: "removed-by-host", room: roomId }));
+      }
+      handleLeaveRoom(targetWs, targetUser);
+      break;
+    }
+
+    case "mute-participant": {
+      const targetWs = findUserByIdInRoom(roomId, data.userId);
+      if (!targetWs || targetWs === ws || targetWs.readyState !== 1) return;
+
+      console.log(`Host ${user.id} asked ${data.userId} to mute`);
+      targetWs.send(JSON.stringify({ type: "mute-request", fromId: user.id }));
+      break;
+    }
+
+    case "mute-all":
+      console.log(`Host ${user.id} muted everyone in room ${roomId}`);
+      broadcastToRoom(roomId, { type: "mute-request", fromId: user.id, all: true }, ws);
+      break;
+
+    case "end-meeting": {
+      console.log(`Host ${user.id} ended the meeting in room ${roomId}`);
+      broadcastToRoom(roomId, { type: "meeting-ended", room: roomId }, ws);
+
+      closeWaitingRoom(roomId);
+      sfu.closeSfuRoom(roomId);
+      const room = rooms.get(roomId);
+      if (room) {
+        // Clear the room without per-user user-left noise
+        room.forEach((clientWs) => {
+          const clientUser = users.get(clientWs);
+          if (clientUser) {
+            clearRoomSession(clientWs, clientUser);
+          }
+        });
+        rooms.delete(roomId);
+        roomSettings.delete(roomId);
+      }
+      break;
+    }
+  }
+}
+
+function isRoomHost(user) {
+  const settings = roomSettings.get(user.room);
+  return Boolean(settings && settings.ownerId === user.id);
+}
+
+function addToWaitingRoom(ws, user, roomId) {
+  const settings = roomSettings.get(roomId);
+  settings.pending.set(user.id, ws);
+  user.pendingRoom = roomId;
+
+  console.log(`User ${user.id} is waiting to join room ${roomId}`);
+
+  ws.send(JSON.stringify({ type: "waiting-for-host", room: roomId }));
+
+  const hostWs = findUserByIdInRoom(roomId, settings.ownerId);
+  if (hostWs && hostWs.readyState === 1) {
+    hostWs.send(JSON.stringify({ type: "knock", user: getPublicProfile(user) }));
+  }
+}
+
+// Drop a waiting user (left, disconnected or re-joined elsewhere)
+function removeFromWaitingRoom(user) {
+  const roomId = user.pendingRoom;
+  const settings = roomSettings.get(roomId);
+  user.pendingRoom = null;
+  if (!settings || !settings.pending.delete(user.id)) return;
+
+  console.log(`User ${user.id} stopped waiting for room ${roomId}`);
+
+  const hostWs = findUserByIdInRoom(roomId, settings.ownerId);
+  if (hostWs && hostWs.readyState === 1) {
+    hostWs.send(JSON.stringify({ type: "knock-cancelled", userId: user.id }));
+  }
+}
+
+// Whether the room has a free participant seat (or viewer seat, for viewers)
+function hasRoomFor(roomId, user) {
+  const room = rooms.get(roomId);
+  if (!room) return true;
+
+  let viewers = 0;
+  room.forEach((clientWs) => {
+    const clientUser = users.get(clientWs);
+    if (clientUser && clientUser.viewer) viewers++;
+  });
+  return user.viewer ? viewers < MAX_ROOM_VIEWERS : room.size - viewers < MAX_ROOM_SIZE;
+}
+
+function addToQueue(ws, user, roomId) {
+  const settings = roomSettings.get(roomId);
+  settings.queue.push(ws);
+  user.queuedRoom = roomId;
+
+  console.log(`User ${user.id} is queued for room ${roomId} at position ${settings.queue.length}`);
+  ws.send(JSON.stringify({ type: "queued", room: roomId, position: settings.queue.length }));
+}
+
+function removeFromQueue(user) {
+  const roomId = user.queuedRoom;
+  const settings = roomSettings.get(roomId);
+  user.queuedRoom = null;
+  if (!settings) return;
+
+  settings.queue = settings.queue.filter((queuedWs) => users.get(queuedWs) !== user);
+  console.log(`User ${user.id} left the queue for room ${roomId}`);
+  sendQueuePositions(settings, roomId);
+}
+
+function sendQueuePositions(settings, roomId) {
+  settings.queue.forEach((queuedWs, index) => {
+    if (queuedWs.readyState === 1) {
+      queuedWs.send(JSON.stringify({ type: "queued", room: roomId, position: index + 1 }));
+    }
+  });
+}
+
+// Seats freed by leavers go to the front of the queue; the waiting room still applies
+function admitFromQueue(roomId) {
+  const settings = roomSettings.get(roomId);
+  if (!settings || settings.queue.length === 0) return;
+
+  let admitted = false;
+  while (settings.queue.length > 0 && hasRoomFor(roomId, { viewer: false })) {
+    const queuedWs = settings.queue.shift();
+    const queuedUser = users.get(queuedWs);
+    if (!queuedUser) continue;
+
+    queuedUser.queuedRoom = null;
+    admitted = true;
+    console.log(`User ${queuedUser.id} reached the front of the queue for room ${roomId}`);
+    if (settings.waitingRoom) {
+      // Knocks don't take a seat, so hand the host one queued user at a time
+      addToWaitingRoom(queuedWs, queuedUser, roomId);
+      break;
+    }
+    admitToRoom(queuedWs, queuedUser, roomId);
+  }
+
+  if (admitted) {
+    sendQueuePositions(settings, roomId);
+  }
+}
+
+// Turn away everyone still waiting (or queued) when the last participant leaves
+function closeWaitingRoom(roomId) {
+  const settings = roomSettings.get(roomId);
+  if (!settings) return;
+
+  settings.queue.forEach((queuedWs) => {
+    const queuedUser = users.get(queuedWs);
+    if (queuedUser) {
+      queuedUser.queuedRoom = null;
+    }
+    if (queuedWs.readyState === 1) {
+      queuedWs.send(JSON.stringify({
+        type: "join-error",
+        room: roomId,
+        code: "room-closed",
+        message: "The meeting ended before a seat came free."
+      }));
+    }
+  });
+  settings.queue = [];
+
+  settings.pending.forEach((pendingWs) => {
+    const pendingUser = users.get(pendingWs);
+    if (pendingUser) {
+      pendingUser.pendingRoom = null;
+    }
+    if (pendingWs.readyState === 1) {
+      pendingWs.send(JSON.stringify({
+        type: "join-error",
+        room: roomId,
+        code: "room-closed",
+        message: "The meeting ended before you were let in."
+      }));
+    }
+  });
+  settings.pending.clear();
+}
+
+function getWaitingUsers(settings) {
+  const waitingUsers = [];
+  settings.pending.forEach((pendingWs) => {
+    const pendingUser = users.get(pendingWs);
+    if (pendingUser) {
+      waitingUsers.push(getPublicProfile(pendingUser));
+    }
+  });
+  return waitingUsers;
+}
+
+async function createRoomSettings(owner, password, options = {}) {
+  const settings = {
+    ownerId: owner.id,
+    locked: false,
+    passwordSalt: null,
+    passwordHash: null,
+    waitingRoom: options.waitingRoom === true,
+    mode: ROOM_MODES.includes(options.mode) ? options.mode : "mesh",
+    pending: new Map(), // userId -> ws of users waiting for the host
+    queue: [] // ws of users waiting for a free seat, first in line first
+  };
+
+  if (typeof password === "string" && password.length > 0) {
+    settings.passwordSalt = crypto.randomBytes(16);
+    settings.passwordHash = await hashPassword(password, settings.passwordSalt);
+  }
+
+  return settings;
+}
+
+// Returns a join-error payload, or null when the join may proceed
+async function checkRoomAccess(settings, password) {
+  if (settings.locked) {
+    return { code: "room-locked", message: "This room is locked by its owner." };
+  }
+
+  if (settings.passwordHash) {
+    if (typeof password !== "string" || password.length === 0) {
+      return { code: "password-required", message: "This room requires a password." };
+    }
+    const candidate = await hashPassword(password, settings.passwordSalt);
+    if (!crypto.timingSafeEqual(candidate, settings.passwordHash)) {
+      return { code: "wrong-password", message: "Incorrect room password." };
+    }
+  }
+
+  return null;
+}
+
+// scrypt runs on the libuv thread pool so joins don't stall signaling for everyone
+const scrypt = util.promisify(crypto.scrypt);
+
+function hashPassword(password, salt) {
+  return scrypt(password, salt, 32);
+}
+
+// Hand the room to the longest-present participant when the owner leaves
+function transferOwnershipIfNeeded(roomId, leavingUser) {
+  const settings = roomSettings.get(roomId);
+  const room = rooms.get(roomId);
+  if (!settings || !room || settings.ownerId !== leavingUser.id) return;
+
+  // Viewers can't use host controls, so they are passed over. So are sockets held for a
+  // resume, unless nobody else is left; they pick up the waiting list when they resume
+  const candidates = Array.from(room).filter((clientWs) => {
+    const clientUser = users.get(clientWs);
+    return clientUser && !clientUser.viewer;
+  });
+  const nextOwnerWs = candidates.find((clientWs) => clientWs.readyState === 1) || candidates[0];
+  if (!nextOwnerWs) return;
+  const nextOwner = users.get(nextOwnerWs);
+
+  settings.ownerId = nextOwner.id;
+  console.log(`Room ${roomId} ownership transferred to ${nextOwner.id}`);
+
+  broadcastToRoom(roomId, { type: "owner-changed", ownerId: nextOwner.id });
+
+  // The new host takes over the waiting room
+  if (settings.pending.size > 0 && nextOwnerWs.readyState === 1) {
+    nextOwnerWs.send(JSON.stringify({ type: "waiting-list", users: getWaitingUsers(settings) }));
+  }
+}
+
+function broadcastToRoom(roomId, message, exceptWs = null) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  const payload = JSON.stringify(message);
+  room.forEach((clientWs) => {
+    if (clientWs !== exceptWs && clientWs.readyState === 1) {
+      clientWs.send(payload);
+    }
+  });
+}
+
+// Copy a sanitized display name and avatar colour onto the user
+function applyProfile(user, data) {
+  if (typeof data.name === "string") {
+    const name = data.name.trim().slice(0, MAX_NAME_LENGTH);
+    user.name = name || null;
+  }
+  if (typeof data.color === "string" && AVATAR_COLOR_PATTERN.test(data.color)) {
+    user.color = data.color;
+  }
+}
+
+function getPublicProfile(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    color: user.color,
+    screenSharing: user.screenSharing,
+    viewer: user.viewer === true
+  };
+}
+
+function normalizeRoomId(roomId) {
+  if (typeof roomId !== "string" || !ROOM_ID_PATTERN.test(roomId)) {
+    return "default";
+  }
+  return roomId;
+}
+
+// Summarize active rooms and their sizes for the lobby
+function getActiveRooms() {
+  const activeRooms = [];
+  rooms.forEach((room, roomId) => {
+    const settings = roomSettings.get(roomId);
+    activeRooms.push({
+      id: roomId,
+      size: room.size,
+      locked: settings ? settings.locked : false,
+      hasPassword: settings ? settings.passwordHash !== null : false,
+      waitingRoom: settings ? settings.waitingRoom : false,
+      mode: settings ? settings.mode : "mesh",
+      full: !hasRoomFor(roomId, { viewer: false })
+    });
+  });
+  return activeRooms;
+}
+
+function loadAdaptationPolicy(file) {
+  if (!file) return DEFAULT_ADAPTATION_POLICY;
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(file, "utf8"));
+    console.log(`Loaded adaptation policy overrides from ${file}`);
+    return mergeAdaptationPolicy(DEFAULT_ADAPTATION_POLICY, overrides);
+  } catch (error) {
+    console.error(`Could not load adaptation policy from ${file}, using defaults:`, error.message);
+    return DEFAULT_ADAPTATION_POLICY;
+  }
+}
+
+function loadIceSettings(env) {
+  const parseUrls = (value) => (value || "").split(",").map((url) => url.trim()).filter(Boolean);
+  const settings = {
+    stunUrls: env.STUN_URLS !== undefined
+      ? parseUrls(env.STUN_URLS)
+      : ["stun:stun.l.google.com:19302", "stun:stun1.l.google.com:19302"],
+    turnUrls: parseUrls(env.TURN_URLS),
+    turnSecret: env.TURN_SECRET || null,
+    credentialTtl: Number(env.TURN_CREDENTIAL_TTL) || 12 * 60 * 60, // Seconds; covers a long meeting
+    transportPolicy: env.ICE_TRANSPORT_POLICY === "relay" ? "relay" : "all"
+  };
+
+  if (settings.turnUrls.length > 0 && !settings.turnSecret) {
+    console.error("TURN_URLS is set without TURN_SECRET; TURN servers will not be offered");
+  }
+  if (settings.transportPolicy === "relay" && !(settings.turnUrls.length > 0 && settings.turnSecret)) {
+    console.error("ICE_TRANSPORT_POLICY=relay needs TURN_URLS and TURN_SECRET, or no connection can be made");
+  }
+  return settings;
+}
+
+// TURN REST API credentials: the username carries its expiry, and the password is an
+// HMAC of the username that coturn can check with the shared secret alone
+function createTurnCredentials(userId, secret, ttlSeconds, now = Date.now()) {
+  const expiry = Math.floor(now / 1000) + ttlSeconds;
+  const username = `${expiry}:${userId}`;
+  const credential = crypto.createHmac("sha1", secret).update(username).digest("base64");
+  return { username, credential };
+}
+
+function createIceConfiguration(userId, settings = ICE_SETTINGS, now = Date.now()) {
+  const iceServers = [];
+  if (settings.stunUrls.length > 0) {
+    iceServers.push({ urls: settings.stunUrls });
+  }
+  if (settings.turnUrls.length > 0 && settings.turnSecret) {
+    iceServers.push({
+      urls: settings.turnUrls,
+      ...createTurnCredentials(userId, settings.turnSecret, settings.credentialTtl, now)
+    });
+  }
+  return { iceServers, iceTransportPolicy: settings.transportPolicy };
+}
+
+// Tell the client what was wrong; connections that keep misbehaving are closed
+function rejectMessage(ws, user, error) {
+  console.warn(`User ${user.id} sent a rejected message (${error.code}): ${error.message}`);
+  if (ws.readyState === 1) {
+    ws.send(JSON.stringify({ type: "error", ...error }));
+  }
+
+  if (recordViolation(user.rateLimit)) {
+    console.warn(`User ${user.id} disconnected after repeated rejected messages`);
+    handleLeaveRoom(ws, user);
+    users.delete(ws);
+    ws.close(1008, "Too many rejected messages");
+  }
+}
+
+function checkHeartbeats(now = Date.now()) {
+  wss.clients.forEach((ws) => {
+    const user = users.get(ws);
+    if (user && now - user.lastPongAt > HEARTBEAT_TIMEOUT_MS) {
+      reapConnection(ws, user, now);
+      return;
+    }
+    if (ws.readyState === 1) {
+      ws.ping();
+    }
+  });
+}
+
+// A dead socket can't resume, so it leaves right away instead of holding its slot
+function reapConnection(ws, user, now = Date.now()) {
+  console.log(`User ${user.id} stopped answering pings for ${now - user.lastPongAt}ms, dropping connection`);
+  heartbeatStats.reaped++;
+  if (user.room) heartbeatStats.reapedInRoom++;
+  if (user.pendingRoom) heartbeatStats.reapedWaiting++;
+  heartbeatStats.lastReapedAt = now;
+
+  handleLeaveRoom(ws, user);
+  users.delete(ws);
+  ws.terminate();
 }
 
 function findUserByIdInRoom(roomId, userId) {
@@ -147,17 +1011,75 @@ function findUserByIdInRoom(roomId, userId) {
 
 app.use(express.static("public"));
 
-// Listen on all interfaces
+// List active rooms for the lobby
+app.get("/api/rooms", (req, res) => {
+  res.json({ rooms: getActiveRooms() });
+});
+
+// Connection health: open sockets and how many were reaped by the heartbeat
+app.get("/api/server-stats", (req, res) => {
+  res.json({
+    connections: wss.clients.size,
+    rooms: rooms.size,
+    heartbeat: {
+      intervalMs: HEARTBEAT_INTERVAL_MS,
+      timeoutMs: HEARTBEAT_TIMEOUT_MS,
+      ...heartbeatStats
+    }
+  });
+});
+
+// Quality thresholds, smoothing and dwell times for client-side adaptation
+app.get("/api/adaptation-policy", (req, res) => {
+  res.json(ADAPTATION_POLICY);
+});
+
+// Shareable room links (/r/<room>) load the same client
+app.get("/r/:room", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "index.html"));
+});
+
+// Heartbeats run only while the server is listening
+server.on("listening", () => {
+  heartbeatInterval = setInterval(checkHeartbeats, HEARTBEAT_INTERVAL_MS);
+});
+server.on("close", () => {
+  clearInterval(heartbeatInterval);
+});
+
+// Listen on all interfaces when run directly; tests require this module and listen themselves
 const PORT = 3000;
-server.listen(PORT, "0.0.0.0", () => {
-  const nets = os.networkInterfaces();
-  console.log("🚀 Server running on:");
-  console.log(`   Local:   http://localhost:${PORT}`);
-  for (const name of Object.keys(nets)) {
-    for (const net of nets[name]) {
-      if (net.family === "IPv4" && !net.internal) {
-        console.log(`   Network: http://${net.address}:${PORT}`);
+if (require.main === module) {
+  server.listen(PORT, "0.0.0.0", () => {
+    const nets = os.networkInterfaces();
+    console.log("🚀 Server running on:");
+    console.log(`   Local:   http://localhost:${PORT}`);
+    for (const name of Object.keys(nets)) {
+      for (const net of nets[name]) {
+        if (net.family === "IPv4" && !net.internal) {
+          console.log(`   Network: http://${net.address}:${PORT}`);
+        }
       }
     }
-  }
-});
+  });
+}
+
+module.exports = {
+  app,
+  server,
+  wss,
+  users,
+  rooms,
+  roomSettings,
+  resumeTokens,
+  handleJoinRoom,
+  handleLeaveRoom,
+  handleRelay,
+  handleResume,
+  checkHeartbeats,
+  heartbeatStats,
+  findUserByIdInRoom,
+  loadIceSettings,
+  createTurnCredentials,
+  createIceConfiguration
+};
@@ -0,0 +1,346 @@
+const {
+  RTCPeerConnection,
+  useOPUS,
+  useVP8,
+  useSdesMid,
+  useSdesRTPStreamId,
+  useRepairedRtpStreamId
+} = require("werift");
+
+// Selective Forwarding Unit: every client publishes once to the server, which
+// forwards the RTP packets to everyone else in the room without re-encoding.
+
+// userId -> SFU session ({ pc, roomId, send, published, subscriptions, ... })
+const sessions = new Map();
+
+// Servers behind NAT must announce their public address for ICE to work
+const SFU_ANNOUNCED_IP = process.env.SFU_ANNOUNCED_IP || null;
+const SFU_PORT_MIN = Number(process.env.SFU_PORT_MIN) || null;
+const SFU_PORT_MAX = Number(process.env.SFU_PORT_MAX) || null;
+
+// A client that never answers our offer would block every later renegotiation
+const SFU_ANSWER_TIMEOUT_MS = Number(process.env.SFU_ANSWER_TIMEOUT_MS) || 10000;
+const SFU_MAX_OFFER_ATTEMPTS = 3; // Unanswered offers in a row before the session is dropped
+
+// Simulcast layers published by clients, lowest first; rids match the client's sendEncodings
+const LAYER_RIDS = ["low", "medium", "high"];
+const QUALITY_LAYERS = { LOW: "low", MEDIUM: "medium", HIGH: "high" };
+const RECEIVE_QUALITIES = ["AUDIO_ONLY", "LOW", "MEDIUM", "HIGH"];
+
+function createServerPeerConnection() {
+  return new RTCPeerConnection({
+    // One codec per kind so forwarded packets never need transcoding
+    codecs: {
+      audio: [useOPUS()],
+      video: [useVP8()]
+    },
+    // rid header extensions let simulcast layers share one m-line
+    headerExtensions: {
+      audio: [useSdesMid()],
+      video: [useSdesMid(), useSdesRTPStreamId(), useRepairedRtpStreamId()]
+    },
+    iceServers: [{ urls: "stun:stun.l.google.com:19302" }],
+    iceAdditionalHostAddresses: SFU_ANNOUNCED_IP ? [SFU_ANNOUNCED_IP] : undefined,
+    icePortRange: SFU_PORT_MIN && SFU_PORT_MAX ? [SFU_PORT_MIN, SFU_PORT_MAX] : undefined,
+    bundlePolicy: "max-bundle"
+  });
+}
+
+// Client published (or republished) its media with an offer; viewers only receive
+async function handleSfuOffer(userId, roomId, offer, send, options = {}) {
+  // A fresh offer replaces the session, e.g. after the client's connection failed
+  if (sessions.has(userId)) {
+    closeSfuSession(userId);
+  }
+
+  const pc = createServerPeerConnection();
+  const session = {
+    userId,
+    roomId,
+    pc,
+    send,
+    published: [], // { kind, transceiver, track, layers: Map(rid -> track) }
+    subscriptions: new Map(), // publisherId -> [{ transceiver, kind, published, track }]
+    trackOwners: new Map(), // mid -> { userId, kind }
+    receiveQuality: "HIGH", // Downlink quality the client reported; picks the simulcast layer
+    ready: false,
+    negotiating: false,
+    renegotiate: false,
+    answerTimer: null,
+    unansweredOffers: 0
+  };
+  sessions.set(userId, session);
+
+  pc.onIceCandidate.subscribe((candidate) => {
+    if (candidate) {
+      send({ type: "sfu-candidate", candidate });
+    }
+  });
+
+  pc.connectionStateChange.subscribe((state) => {
+    console.log(`SFU connection for ${userId}: ${state}`);
+  });
+
+  // Each incoming m-line is one of the publisher's tracks
+  pc.onRemoteTransceiverAdded.subscribe((transceiver) => {
+    if (options.viewer) {
+      // Answered before the direction is negotiated, so nothing is ever received on it
+      transceiver.setDirection("inactive");
+      return;
+    }
+    transceiver.onTrack.subscribe((track) => {
+      publishTrack(session, track, transceiver);
+    });
+  });
+
+  await pc.setRemoteDescription(offer);
+  await pc.setLocalDescription(await pc.createAnswer());
+  send({ type: "sfu-answer", answer: pc.localDescription });
+
+  session.ready = true;
+  console.log(`SFU session started for ${userId} in room ${roomId}`);
+
+  // Receive everyone who was already publishing
+  sessions.forEach((publisher) => {
+    if (publisher !== session && publisher.roomId === roomId) {
+      publisher.published.forEach((published) => subscribe(session, publisher, published));
+    }
+  });
+  if (session.subscriptions.size > 0) {
+    negotiate(session);
+  }
+}
+
+async function handleSfuAnswer(userId, answer) {
+  const session = sessions.get(userId);
+  if (!session || session.pc.signalingState !== "have-local-offer") return;
+
+  clearTimeout(session.answerTimer);
+  session.answerTimer = null;
+  session.unansweredOffers = 0;
+  await session.pc.setRemoteDescription(answer);
+  session.negotiating = false;
+
+  // Tracks added while our offer was outstanding need another round
+  if (session.renegotiate) {
+    session.renegotiate = false;
+    negotiate(session);
+  }
+}
+
+async function handleSfuCandidate(userId, candidate) {
+  const session = sessions.get(userId);
+  if (!session || !candidate) return;
+
+  await session.pc.addIceCandidate(candidate);
+}
+
+// Receiver reported its downlink quality; switch every video it gets to the matching layer
+function handleSfuLayer(userId, quality) {
+  const session = sessions.get(userId);
+  if (!session || !RECEIVE_QUALITIES.includes(quality) || session.receiveQuality === quality) return;
+
+  session.receiveQuality = quality;
+  console.log(`SFU: ${userId} now receives ${quality} video`);
+
+  session.subscriptions.forEach((subscriptions) => {
+    subscriptions
+      .filter((subscription) => subscription.kind === "video")
+      .forEach((subscription) => forwardLayer(subscription, quality));
+  });
+}
+
+function publishTrack(publisher, track, transceiver) {
+  // Simulcast sends one track per rid on the same transceiver
+  const existing = publisher.published.find((published) => published.transceiver === transceiver);
+  if (existing) {
+    existing.layers.set(track.rid, track);
+    console.log(`SFU: ${publisher.userId} added simulcast layer ${track.rid}`);
+
+    // A better-matching layer may have just arrived
+    sessions.forEach((subscriber) => {
+      (subscriber.subscriptions.get(publisher.userId) || [])
+        .filter((subscription) => subscription.published === existing)
+        .forEach((subscription) => forwardLayer(subscription, subscriber.receiveQuality));
+    });
+    return;
+  }
+
+  const published = { kind: track.kind, transceiver, track, layers: new Map() };
+  if (track.rid) {
+    published.layers.set(track.rid, track);
+  }
+  publisher.published.push(published);
+  console.log(`SFU: ${publisher.userId} published ${track.kind}${track.rid ? ` (simulcast ${track.rid})` : ""}`);
+
+  sessions.forEach((subscriber) => {
+    if (subscriber !== publisher && subscriber.roomId === publisher.roomId && subscriber.ready) {
+      subscribe(subscriber, publisher, published);
+      negotiate(subscriber);
+    }
+  });
+}
+
+// Forward one published track to a subscriber on its own sendonly m-line
+function subscribe(subscriber, publisher, published) {
+  const transceiver = subscriber.pc.addTransceiver(published.kind, { direction: "sendonly" });
+  const subscription = { transceiver, kind: published.kind, published, track: null };
+
+  // New viewers need a keyframe before they can decode anything
+  if (published.kind === "video") {
+    transceiver.sender.onPictureLossIndication.subscribe(() => {
+      requestKeyframe(published, subscription.track);
+    });
+  }
+
+  const subscriptions = subscriber.subscriptions.get(publisher.userId) || [];
+  subscriptions.push(subscription);
+  subscriber.subscriptions.set(publisher.userId, subscriptions);
+
+  forwardLayer(subscription, published.kind === "video" ? subscriber.receiveQuality : "HIGH");
+}
+
+// Highest layer at or below the wanted quality, else the lowest one being sent
+function selectLayer(published, quality) {
+  if (published.layers.size === 0) return published.track;
+
+  const wanted = LAYER_RIDS.indexOf(QUALITY_LAYERS[quality]);
+  const available = LAYER_RIDS.filter((rid) => published.layers.has(rid));
+  const rid = available.filter((candidate) => LAYER_RIDS.indexOf(candidate) <= wanted).pop() || available[0];
+  return published.layers.get(rid);
+}
+
+function forwardLayer(subscription, quality) {
+  const track = quality === "AUDIO_ONLY" ? null : selectLayer(subscription.published, quality);
+  if (track === subscription.track) return;
+
+  subscription.track = track;
+  subscription.transceiver.sender.replaceTrack(track)
+    .then(() => requestKeyframe(subscription.published, track))
+    .catch((error) => console.error("SFU: could not switch layer:", error));
+}
+
+function requestKeyframe(published, track) {
+  if (track && track.ssrc) {
+    published.transceiver.receiver.sendRtcpPLI(track.ssrc).catch(() => {});
+  }
+}
+
+// Server-initiated renegotiation; the client only ever answers after its first offer
+async function negotiate(session) {
+  if (!sessions.has(session.userId)) return;
+  if (session.negotiating) {
+    session.renegotiate = true;
+    return;
+  }
+
+  session.negotiating = true;
+  try {
+    await session.pc.setLocalDescription(await session.pc.createOffer());
+
+    // Tell the client which participant each m-line belongs to
+    session.trackOwners.clear();
+    session.subscriptions.forEach((subscriptions, publisherId) => {
+      subscriptions.forEach(({ transceiver, kind }) => {
+        if (transceiver.mid !== null) {
+          session.trackOwners.set(transceiver.mid, { userId: publisherId, kind });
+        }
+      });
+    });
+
+    session.send({
+      type: "sfu-offer",
+      offer: session.pc.localDescription,
+      tracks: Array.from(session.trackOwners, ([mid, owner]) => ({ mid, ...owner }))
+    });
+    session.answerTimer = setTimeout(() => handleAnswerTimeout(session), SFU_ANSWER_TIMEOUT_MS);
+
+    // Keyframes once the new m-lines are live
+    setTimeout(() => {
+      session.subscriptions.forEach((subscriptions) => {
+        subscriptions
+          .filter((subscription) => subscription.kind === "video")
+          .forEach((subscription) => requestKeyframe(subscription.published, subscription.track));
+      });
+    }, 1000);
+  } catch (error) {
+    session.negotiating = false;
+    console.error(`SFU negotiation failed for ${session.userId}:`, error);
+  }
+}
+
+// The answer was lost or the client got out of sync: take the offer back and make a
+// fresh one with whatever changed since, or give up and let the client republish
+async function handleAnswerTimeout(session) {
+  session.answerTimer = null;
+  if (sessions.get(session.userId) !== session || !session.negotiating) return;
+
+  session.unansweredOffers++;
+  if (session.unansweredOffers >= SFU_MAX_OFFER_ATTEMPTS) {
+    console.warn(`SFU: ${session.userId} answered none of ${session.unansweredOffers} offers, closing the session`);
+    session.send({ type: "sfu-error", message: "Lost sync with the media server, reconnecting...", closed: true });
+    closeSfuSession(session.userId);
+    return;
+  }
+
+  console.warn(`SFU: no answer from ${session.userId} within ${SFU_ANSWER_TIMEOUT_MS}ms, offering again`);
+  try {
+    await session.pc.setLocalDescription({ type: "rollback" });
+  } catch (error) {
+    console.error(`SFU: could not roll back the offer to ${session.userId}:`, error);
+  }
+  session.negotiating = false;
+  session.renegotiate = false;
+  negotiate(session);
+}
+
+// Stop forwarding a publisher's tracks to everyone else in the room
+function unsubscribeAll(publisherId, roomId) {
+  sessions.forEach((subscriber) => {
+    if (subscriber.roomId !== roomId) return;
+
+    const subscriptions = subscriber.subscriptions.get(publisherId);
+    if (!subscriptions) return;
+
+    subscriber.subscriptions.delete(publisherId);
+    subscriptions.forEach(({ transceiver }) => {
+      try {
+        subscriber.pc.removeTrack(transceiver.sender);
+      } catch (error) {
+        console.error(`SFU: could not stop forwarding to ${subscriber.userId}:`, error);
+      }
+    });
+    negotiate(subscriber);
+  });
+}
+
+function closeSfuSession(userId) {
+  const session = sessions.get(userId);
+  if (!session) return;
+
+  sessions.delete(userId);
+  clearTimeout(session.answerTimer);
+  unsubscribeAll(userId, session.roomId);
+  session.pc.close().catch(() => {});
+  console.log(`SFU session closed for ${userId}`);
+}
+
+// Meeting ended: tear down every session in the room at once
+function closeSfuRoom(roomId) {
+  sessions.forEach((session, userId) => {
+    if (session.roomId === roomId) {
+      sessions.delete(userId);
+      clearTimeout(session.answerTimer);
+      session.pc.close().catch(() => {});
+    }
+  });
+}
+
+module.exports = {
+  handleSfuOffer,
+  handleSfuAnswer,
+  handleSfuCandidate,
+  handleSfuLayer,
+  closeSfuSession,
+  closeSfuRoom
+};
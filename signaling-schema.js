@@ -0,0 +1,196 @@
+// Shapes and rate limits for what clients may send over the signaling socket. Messages are
+// checked here before they reach a handler, so nothing unexpected is ever relayed to a peer.
+
+const MAX_MESSAGE_BYTES = 256 * 1024; // SFU answers grow with every participant's m-lines
+const MAX_SDP_LENGTH = 200000;
+
+const RATE_LIMITS = {
+  messagesPerSecond: 50, // Sustained rate, refilled continuously
+  messageBurst: 200, // Joining a mesh trickles an offer and a batch of candidates per peer at once
+  joinsPerMinute: 10, // join-room and resume
+  maxViolations: 10, // Rejected messages within violationWindowMs before the socket is closed
+  violationWindowMs: 60000
+};
+
+// Field rules: type, optional (default required), nullable, maxLength, enum, fields (for objects)
+const ID = { type: "string", maxLength: 64 };
+const TARGET = { targetId: ID };
+const description = (type) => ({
+  type: "object",
+  fields: {
+    type: { type: "string", enum: [type] },
+    sdp: { type: "string", maxLength: MAX_SDP_LENGTH }
+  }
+});
+const CANDIDATE = {
+  type: "object",
+  fields: {
+    candidate: { type: "string", maxLength: 1024 },
+    sdpMid: { type: "string", maxLength: 32, optional: true, nullable: true },
+    sdpMLineIndex: { type: "number", optional: true, nullable: true },
+    usernameFragment: { type: "string", maxLength: 256, optional: true, nullable: true }
+  }
+};
+const CHAT_MESSAGE = {
+  type: "object",
+  fields: {
+    type: { type: "string", enum: ["chat-message"] },
+    id: ID,
+    text: { type: "string", maxLength: 1000 },
+    timestamp: { type: "number" },
+    private: { type: "boolean" }
+  }
+};
+const PROFILE = {
+  name: { type: "string", maxLength: 200, optional: true }, // Trimmed to MAX_NAME_LENGTH by the server
+  color: { type: "string", maxLength: 16, optional: true }
+};
+
+const MESSAGE_SCHEMAS = {
+  "resume": { token: ID },
+  "join-room": {
+    room: { type: "string", maxLength: 64, optional: true },
+    password: { type: "string", maxLength: 256, optional: true },
+    waitingRoom: { type: "boolean", optional: true },
+    mode: { type: "string", enum: ["mesh", "sfu"], optional: true },
+    viewer: { type: "boolean", optional: true }, // Listen-only seat in a full room
+    queue: { type: "boolean", optional: true }, // Wait in line if the room is full
+    ...PROFILE
+  },
+  "leave-room": {},
+  "admit-user": { userId: ID },
+  "deny-user": { userId: ID },
+  "remove-participant": { userId: ID },
+  "mute-participant": { userId: ID },
+  "mute-all": {},
+  "end-meeting": {},
+  "lock-room": { locked: { type: "boolean" } },
+  "update-profile": PROFILE,
+  "screen-share": { sharing: { type: "boolean" } },
+  "offer": { ...TARGET, offer: description("offer") },
+  "answer": { ...TARGET, answer: description("answer") },
+  "candidate": { ...TARGET, candidate: CANDIDATE },
+  "connection-failed": TARGET,
+  "chat": { ...TARGET, message: CHAT_MESSAGE },
+  "sfu-offer": { offer: description("offer") },
+  "sfu-answer": { answer: description("answer") },
+  "sfu-candidate": { candidate: CANDIDATE },
+  "sfu-layer": { quality: { type: "string", maxLength: 16 } }
+};
+
+// Parse and check one raw message: { data } when it is acceptable, { error } otherwise
+function parseMessage(raw) {
+  if (raw.length > MAX_MESSAGE_BYTES) {
+    return { error: { code: "message-too-large", message: `Messages are limited to ${MAX_MESSAGE_BYTES} bytes.` } };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw.toString());
+  } catch (error) {
+    return { error: { code: "invalid-json", message: "Messages must be JSON." } };
+  }
+
+  if (!data || typeof data !== "object" || Array.isArray(data) || typeof data.type !== "string") {
+    return { error: { code: "invalid-message", message: "Messages must be objects with a type." } };
+  }
+  const schema = Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, data.type) && MESSAGE_SCHEMAS[data.type];
+  if (!schema) {
+    return { error: { code: "unknown-type", message: `Unknown message type: ${data.type.slice(0, 32)}` } };
+  }
+
+  const { type, ...fields } = data;
+  const problem = checkFields(fields, schema, type);
+  if (problem) {
+    return { error: { code: "invalid-message", message: `Invalid ${type} message: ${problem}` } };
+  }
+  return { data };
+}
+
+// First problem with an object's fields, or null
+function checkFields(value, fields, path) {
+  for (const key of Object.keys(value)) {
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+      return `unexpected field ${path}.${key}`;
+    }
+  }
+  for (const [key, rule] of Object.entries(fields)) {
+    const problem = checkValue(value[key], rule, `${path}.${key}`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+function checkValue(value, rule, path) {
+  if (value === undefined) {
+    return rule.optional ? null : `${path} is required`;
+  }
+  if (value === null) {
+    return rule.nullable ? null : `${path} must not be null`;
+  }
+
+  const isObject = typeof value === "object" && !Array.isArray(value);
+  if (rule.type === "object" ? !isObject : typeof value !== rule.type) {
+    return `${path} must be ${rule.type === "object" ? "an object" : `a ${rule.type}`}`;
+  }
+  if (rule.type === "number" && !Number.isFinite(value)) {
+    return `${path} must be a finite number`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `${path} is longer than ${rule.maxLength}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${path} must be one of ${rule.enum.join(", ")}`;
+  }
+  if (rule.fields) {
+    return checkFields(value, rule.fields, path);
+  }
+  return null;
+}
+
+function createRateLimitState(now = Date.now()) {
+  return {
+    tokens: RATE_LIMITS.messageBurst,
+    refilledAt: now,
+    joins: [], // Times of recent joins
+    violations: [] // Times of recent rejected messages
+  };
+}
+
+// Spend one message (token bucket) and, for joins, one slot of the per-minute allowance.
+// Returns an error for the client when the connection is over its limits.
+function checkRateLimit(state, type, now = Date.now()) {
+  const elapsedSeconds = (now - state.refilledAt) / 1000;
+  state.tokens = Math.min(RATE_LIMITS.messageBurst, state.tokens + elapsedSeconds * RATE_LIMITS.messagesPerSecond);
+  state.refilledAt = now;
+  if (state.tokens < 1) {
+    return { code: "rate-limited", message: "Too many messages, slow down." };
+  }
+  state.tokens--;
+
+  if (type === "join-room" || type === "resume") {
+    state.joins = state.joins.filter((time) => now - time < 60000);
+    if (state.joins.length >= RATE_LIMITS.joinsPerMinute) {
+      return { code: "rate-limited", message: "Too many joins, wait a minute." };
+    }
+    state.joins.push(now);
+  }
+  return null;
+}
+
+// Record a rejected message; true once the connection has earned a disconnect
+function recordViolation(state, now = Date.now()) {
+  state.violations = state.violations.filter((time) => now - time < RATE_LIMITS.violationWindowMs);
+  state.violations.push(now);
+  return state.violations.length >= RATE_LIMITS.maxViolations;
+}
+
+module.exports = {
+  MAX_MESSAGE_BYTES,
+  RATE_LIMITS,
+  MESSAGE_SCHEMAS,
+  parseMessage,
+  createRateLimitState,
+  checkRateLimit,
+  recordViolation
+};
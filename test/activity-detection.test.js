@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeEAR, computeNormalizedEAR } = require("../public/activity-detection");
+
+const LEFT_EYE = [33, 160, 158, 133, 153, 144];
+const RIGHT_EYE = [362, 385, 387, 263, 373, 380];
+
+// Six-point eye outline: corners at p1/p4, lids at p2/p3 (top) and p6/p5 (bottom)
+function placeEye(landmarks, eye, centerX, width, opening) {
+  const [p1, p2, p3, p4, p5, p6] = eye;
+  landmarks[p1] = { x: centerX - width / 2, y: 0.5 };
+  landmarks[p4] = { x: centerX + width / 2, y: 0.5 };
+  landmarks[p2] = { x: centerX - width / 6, y: 0.5 - opening / 2 };
+  landmarks[p3] = { x: centerX + width / 6, y: 0.5 - opening / 2 };
+  landmarks[p6] = { x: centerX - width / 6, y: 0.5 + opening / 2 };
+  landmarks[p5] = { x: centerX + width / 6, y: 0.5 + opening / 2 };
+}
+
+// A face whose nose-chin and cheek-cheek distances multiply out to `faceSize` squared
+function buildFace(opening, faceSize = 0.15) {
+  const landmarks = [];
+  placeEye(landmarks, LEFT_EYE, 0.4, 0.1, opening);
+  placeEye(landmarks, RIGHT_EYE, 0.6, 0.1, opening);
+  landmarks[1] = { x: 0.5, y: 0.5 };
+  landmarks[175] = { x: 0.5, y: 0.5 + faceSize };
+  landmarks[234] = { x: 0.5 - faceSize / 2, y: 0.5 };
+  landmarks[454] = { x: 0.5 + faceSize / 2, y: 0.5 };
+  return landmarks;
+}
+
+test("computeEAR is the lid opening over the eye width", () => {
+  const landmarks = buildFace(0.03);
+  assert.ok(Math.abs(computeEAR(landmarks, LEFT_EYE) - 0.3) < 1e-9);
+});
+
+test("computeEAR is zero for a closed eye and for a degenerate one", () => {
+  assert.equal(computeEAR(buildFace(0), LEFT_EYE), 0);
+
+  const landmarks = buildFace(0.03);
+  landmarks[LEFT_EYE[3]] = landmarks[LEFT_EYE[0]];
+  assert.equal(computeEAR(landmarks, LEFT_EYE), 0);
+});
+
+test("computeNormalizedEAR averages both eyes and leaves a reference-sized face unscaled", () => {
+  const result = computeNormalizedEAR(buildFace(0.03), LEFT_EYE, RIGHT_EYE);
+
+  assert.ok(Math.abs(result.rawEAR - 0.3) < 1e-9);
+  assert.ok(Math.abs(result.faceSize - 0.15) < 1e-9);
+  assert.ok(Math.abs(result.normalizationFactor - 1) < 1e-9);
+  assert.ok(Math.abs(result.normalizedEAR - result.rawEAR) < 1e-9);
+});
+
+test("computeNormalizedEAR scales by face size within its clamp", () => {
+  const near = computeNormalizedEAR(buildFace(0.03, 0.225), LEFT_EYE, RIGHT_EYE);
+  assert.ok(Math.abs(near.normalizationFactor - 1.5) < 1e-9);
+  assert.ok(Math.abs(near.normalizedEAR - 0.2) < 1e-9);
+
+  const far = computeNormalizedEAR(buildFace(0.03, 0.01), LEFT_EYE, RIGHT_EYE);
+  assert.equal(far.normalizationFactor, 0.5);
+
+  const huge = computeNormalizedEAR(buildFace(0.03, 1), LEFT_EYE, RIGHT_EYE);
+  assert.equal(huge.normalizationFactor, 2);
+});
@@ -0,0 +1,164 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { AdaptationEngine, DEFAULT_ADAPTATION_POLICY, mergeAdaptationPolicy, computeTrend } = require("../public/adaptation");
+const { NetworkSimulator } = require("../public/network-simulator");
+
+const SAMPLE_MS = 3000; // Matches the client's monitoring interval
+const CLEAN = { loss: 0, rtt: 50 };
+
+// Feed `count` identical samples starting after `start`; returns the decisions made
+function feed(engine, sample, count, start = 0, linkId = "peer") {
+  const decisions = [];
+  for (let i = 1; i <= count; i++) {
+    const decision = engine.update(linkId, sample, start + i * SAMPLE_MS);
+    if (decision) decisions.push(decision);
+  }
+  return decisions;
+}
+
+function engineWithoutWarmup(overrides = {}) {
+  return new AdaptationEngine(mergeAdaptationPolicy({ warmupMs: 0, probe: { enabled: false } }, overrides));
+}
+
+test("policy overrides merge into the defaults", () => {
+  const policy = mergeAdaptationPolicy(DEFAULT_ADAPTATION_POLICY, { smoothing: 0.5, tiers: { HIGH: { exit: { rtt: 300 } } } });
+
+  assert.equal(policy.smoothing, 0.5);
+  assert.equal(policy.tiers.HIGH.exit.rtt, 300);
+  assert.equal(policy.tiers.HIGH.exit.loss, DEFAULT_ADAPTATION_POLICY.tiers.HIGH.exit.loss);
+  assert.equal(policy.tiers.LOW.enter.rtt, DEFAULT_ADAPTATION_POLICY.tiers.LOW.enter.rtt);
+  assert.equal(DEFAULT_ADAPTATION_POLICY.smoothing, 0.3);
+});
+
+test("computeTrend is the per-sample slope across the window", () => {
+  assert.deepEqual(computeTrend([{ loss: 1, rtt: 100 }]), { loss: 0, rtt: 0 });
+  assert.deepEqual(computeTrend([{ loss: 1, rtt: 100 }, { loss: 2, rtt: 150 }, { loss: 3, rtt: 200 }]), { loss: 1, rtt: 50 });
+});
+
+test("new links are left alone during warm-up", () => {
+  const engine = new AdaptationEngine({ probe: { enabled: false } });
+  const decisions = feed(engine, { loss: 30, rtt: 900 }, 3);
+
+  assert.deepEqual(decisions, []);
+  assert.equal(engine.getQuality("peer"), "HIGH");
+});
+
+test("severe loss drops straight to audio-only after the downgrade samples", () => {
+  const engine = engineWithoutWarmup();
+  feed(engine, CLEAN, 2);
+  const decisions = feed(engine, { loss: 40, rtt: 60 }, 3, 2 * SAMPLE_MS);
+
+  assert.equal(decisions.length, 1);
+  assert.equal(decisions[0].from, "HIGH");
+  assert.equal(decisions[0].to, "AUDIO_ONLY");
+  assert.match(decisions[0].reason, /^loss/);
+  assert.ok(decisions[0].metrics.smoothed.loss > 15);
+});
+
+test("a single bad sample is smoothed away", () => {
+  const engine = engineWithoutWarmup();
+  feed(engine, CLEAN, 5);
+  const decisions = [
+    ...feed(engine, { loss: 8, rtt: 50 }, 1, 5 * SAMPLE_MS),
+    ...feed(engine, CLEAN, 5, 6 * SAMPLE_MS)
+  ];
+
+  assert.deepEqual(decisions, []);
+});
+
+test("upgrades step one tier at a time and respect the dwell time", () => {
+  const engine = engineWithoutWarmup();
+  engine.setQuality("peer", "AUDIO_ONLY", "test", 0);
+
+  const decisions = feed(engine, CLEAN, 20);
+  assert.deepEqual(decisions.map((decision) => decision.to), ["LOW", "MEDIUM", "HIGH"]);
+
+  const { upgrade } = engine.policy;
+  assert.ok(decisions[0].time >= upgrade.minDwellMs);
+  assert.ok(decisions[1].time - decisions[0].time >= upgrade.minDwellMs);
+});
+
+test("a link between enter and exit limits keeps its tier in both directions", () => {
+  const { tiers } = DEFAULT_ADAPTATION_POLICY;
+  const between = { loss: (tiers.HIGH.enter.loss + tiers.HIGH.exit.loss) / 2, rtt: 50 };
+
+  const high = engineWithoutWarmup();
+  assert.deepEqual(feed(high, between, 20), []);
+
+  const medium = engineWithoutWarmup();
+  medium.setQuality("peer", "MEDIUM", "test", 0);
+  assert.deepEqual(feed(medium, between, 20), []);
+});
+
+test("upgrades wait while RTT is still climbing", () => {
+  const engine = engineWithoutWarmup();
+  engine.setQuality("peer", "LOW", "test", 0);
+
+  const decisions = [];
+  for (let i = 1; i <= 10; i++) {
+    const decision = engine.update("peer", { loss: 0, rtt: i * 30 }, i * SAMPLE_MS);
+    if (decision) decisions.push(decision);
+  }
+  assert.deepEqual(decisions, []);
+});
+
+test("upgrades wait for a probe, and only a successful one commits", () => {
+  const engine = new AdaptationEngine({ warmupMs: 0 });
+  engine.setQuality("peer", "LOW", "test", 0);
+
+  const request = feed(engine, CLEAN, 5).find((decision) => decision.type === "probe");
+  assert.ok(request);
+  assert.equal(request.to, "MEDIUM");
+  assert.equal(request.bitrate, DEFAULT_ADAPTATION_POLICY.probe.bitrates.MEDIUM);
+  assert.equal(engine.isProbing("peer"), true);
+
+  assert.equal(engine.finishProbe("peer", { success: false, measured: 100000, method: "test" }, request.time + 5000), null);
+  assert.equal(engine.getQuality("peer"), "LOW");
+
+  // A failed probe backs off before the link may try again
+  const start = request.time + 5000;
+  const retried = feed(engine, CLEAN, 20, start).find((decision) => decision.type === "probe");
+  assert.ok(retried.time - start >= DEFAULT_ADAPTATION_POLICY.probe.backoffMs);
+
+  const decision = engine.finishProbe("peer", { success: true, measured: 900000, method: "test" }, retried.time + 5000);
+  assert.equal(decision.to, "MEDIUM");
+  assert.match(decision.reason, /probe 900kbps/);
+  assert.deepEqual(engine.getProbes("peer").map((probe) => probe.success), [false, true]);
+});
+
+test("links adapt independently and the decision log is capped", () => {
+  const engine = engineWithoutWarmup({ logSize: 2 });
+  feed(engine, { loss: 40, rtt: 50 }, 3, 0, "bad");
+  feed(engine, CLEAN, 3, 0, "good");
+
+  assert.equal(engine.getQuality("bad"), "AUDIO_ONLY");
+  assert.equal(engine.getQuality("good"), "HIGH");
+
+  engine.setQuality("good", "LOW", "test", 20000);
+  engine.setQuality("good", "MEDIUM", "test", 21000);
+  assert.deepEqual(engine.getLog().map((decision) => decision.to), ["LOW", "MEDIUM"]);
+  assert.equal(engine.getLog("bad").length, 0);
+});
+
+test("a simulated loss burst degrades the link and it recovers afterwards", () => {
+  const engine = new AdaptationEngine({ warmupMs: 0 });
+  const simulator = new NetworkSimulator("loss-burst", 0);
+  let previous = null;
+
+  for (let now = SAMPLE_MS; now <= simulator.scenario.durationMs; now += SAMPLE_MS) {
+    const reports = Array.from(simulator.getStats("peer", now).values());
+    const video = reports.find((report) => report.type === "outbound-rtp" && report.kind === "video");
+    const pair = reports.find((report) => report.type === "candidate-pair");
+    const loss = previous ? ((video.packetsLost - previous.packetsLost) / (video.packetsSent - previous.packetsSent)) * 100 : 0;
+    previous = video;
+
+    const decision = engine.update("peer", { loss, rtt: pair.currentRoundTripTime * 1000 }, now);
+    if (decision && decision.type === "probe") {
+      engine.finishProbe("peer", { success: pair.availableOutgoingBitrate >= decision.bitrate, measured: pair.availableOutgoingBitrate }, now);
+    }
+  }
+
+  const tiers = engine.getLog().map((decision) => decision.to);
+  assert.equal(tiers[0], "AUDIO_ONLY");
+  assert.equal(tiers[tiers.length - 1], "HIGH");
+});
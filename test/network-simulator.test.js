@@ -0,0 +1,97 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { AdaptationEngine, ADAPTATION_TIERS } = require("../public/adaptation");
+const { NETWORK_SCENARIOS, NetworkSimulator } = require("../public/network-simulator");
+const { analyzeStats } = require("../public/network-stats");
+
+const SAMPLE_MS = 3000; // Matches the client's monitoring interval
+
+// analyzeStats logs audio details on every call
+let originalLog;
+before(() => {
+  originalLog = console.log;
+  console.log = () => {};
+});
+after(() => {
+  console.log = originalLog;
+});
+
+// The client's pipeline: synthetic getStats() -> analyzeStats -> engine, with probes
+// judged against the simulated bandwidth. Returns the engine once the scenario ends.
+function runScenario(name) {
+  const engine = new AdaptationEngine();
+  const simulator = new NetworkSimulator(name, 0);
+  let previous = null;
+
+  for (let now = SAMPLE_MS; now <= simulator.scenario.durationMs; now += SAMPLE_MS) {
+    const metrics = analyzeStats(simulator.getStats("peer", now), "peer", previous, now);
+    if (!metrics) continue;
+    previous = metrics;
+
+    const sample = { loss: Math.max(metrics.videoPacketLoss, metrics.audioPacketLoss), rtt: metrics.rtt };
+    const decision = engine.update("peer", sample, now);
+    if (decision && decision.type === "probe") {
+      const { bitrate } = simulator.getConditions(now);
+      engine.finishProbe("peer", { success: bitrate >= decision.bitrate, measured: bitrate }, now);
+    }
+  }
+  return engine;
+}
+
+const tierIndex = (quality) => ADAPTATION_TIERS.indexOf(quality);
+
+test("unknown scenarios are refused", () => {
+  assert.throws(() => new NetworkSimulator("solar-flare"), /Unknown network scenario/);
+});
+
+test("synthetic stats carry the scenario's loss, RTT and bandwidth", () => {
+  const simulator = new NetworkSimulator("loss-burst", 0);
+  simulator.getStats("peer", 20000);
+  const reports = Array.from(simulator.getStats("peer", 30000).values());
+
+  const video = reports.find((report) => report.type === "outbound-rtp" && report.kind === "video");
+  assert.equal(Math.round((video.packetsLost / video.packetsSent) * 100), 20);
+  const pair = reports.find((report) => report.type === "candidate-pair");
+  assert.equal(pair.currentRoundTripTime, 0.06);
+  assert.equal(pair.availableOutgoingBitrate, 2500000);
+  assert.equal(simulator.isFinished(30000), false);
+  assert.equal(simulator.isFinished(NETWORK_SCENARIOS["loss-burst"].durationMs), true);
+});
+
+test("loss-burst drops the link during the burst and steps it back up afterwards", () => {
+  const transitions = runScenario("loss-burst").getLog();
+
+  // Straight down while the burst lasts, nothing before it
+  const [drop, ...recovery] = transitions;
+  assert.ok(drop.time > 20000 && drop.time < 40000);
+  assert.equal(drop.from, "HIGH");
+  assert.equal(drop.to, "AUDIO_ONLY");
+
+  // Then one tier at a time, each needing a probe, back to HIGH
+  assert.deepEqual(recovery.map((decision) => decision.to), ["LOW", "MEDIUM", "HIGH"]);
+  recovery.forEach((decision) => {
+    assert.ok(decision.time >= 40000);
+    assert.match(decision.reason, /probe/);
+  });
+});
+
+test("flapping settles on a lower tier instead of following every flap", () => {
+  const engine = runScenario("flapping");
+  const transitions = engine.getLog();
+  const flaps = NETWORK_SCENARIOS.flapping.durationMs / 6000;
+
+  assert.ok(transitions.length > 0);
+  assert.ok(transitions.length < flaps / 4, `${transitions.length} transitions for ${flaps} flaps`);
+  assert.ok(tierIndex(engine.getQuality("peer")) < tierIndex("HIGH"));
+  // Never back up to HIGH while the link keeps flapping
+  assert.ok(transitions.every((decision) => decision.to !== "HIGH"));
+});
+
+test("congested-uplink probes fail above the capped bandwidth", () => {
+  const engine = runScenario("congested-uplink");
+
+  assert.equal(engine.getQuality("peer"), "LOW");
+  const probes = engine.getProbes("peer");
+  assert.ok(probes.some((probe) => probe.to === "LOW" && probe.success));
+  assert.ok(probes.some((probe) => probe.to === "MEDIUM" && !probe.success));
+});
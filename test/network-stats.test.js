@@ -0,0 +1,94 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeStats } = require("../public/network-stats");
+
+// analyzeStats logs audio details on every call
+let originalLog;
+before(() => {
+  originalLog = console.log;
+  console.log = () => {};
+});
+after(() => {
+  console.log = originalLog;
+});
+
+function statsReport(...reports) {
+  return new Map(reports.map((report, index) => [`report-${index}`, report]));
+}
+
+function outbound(mediaType, bytesSent, packetsSent, packetsLost = 0) {
+  return { type: "outbound-rtp", mediaType, bytesSent, packetsSent, packetsLost };
+}
+
+function inbound(mediaType, bytesReceived, packetsReceived, packetsLost = 0) {
+  return { type: "inbound-rtp", mediaType, bytesReceived, packetsReceived, packetsLost };
+}
+
+test("returns null when there is no RTP traffic", () => {
+  const stats = statsReport({ type: "candidate-pair", selected: true, currentRoundTripTime: 0.1 });
+  assert.equal(analyzeStats(stats, "peer", null, 1000), null);
+});
+
+test("measures bitrate and packet loss against the previous sample", () => {
+  const first = analyzeStats(statsReport(outbound("video", 0, 0), outbound("audio", 0, 0)), "peer", null, 0);
+  assert.equal(first.videoBitrate, 0);
+
+  const second = analyzeStats(
+    statsReport(outbound("video", 375000, 1000, 50), outbound("audio", 15000, 150, 3)),
+    "peer",
+    first,
+    3000
+  );
+  assert.equal(second.videoBitrate, 1000000);
+  assert.equal(second.audioBitrate, 40000);
+  assert.equal(second.videoPacketLoss, 5);
+  assert.equal(second.audioPacketLoss, 2);
+});
+
+test("prefers loss reported by the remote side and caps it", () => {
+  const previous = analyzeStats(statsReport(outbound("video", 0, 0)), "peer", null, 0);
+  const metrics = analyzeStats(
+    statsReport(
+      outbound("video", 100000, 1000, 0),
+      { type: "remote-inbound-rtp", mediaType: "video", packetsLost: 30, packetsReceived: 970 },
+      { type: "remote-inbound-rtp", mediaType: "audio", packetsLost: 80, packetsReceived: 20 }
+    ),
+    "peer",
+    previous,
+    3000
+  );
+
+  assert.ok(Math.abs(metrics.videoPacketLoss - 3) < 1e-9);
+  assert.equal(metrics.audioPacketLoss, 50);
+});
+
+test("takes RTT from the selected candidate pair, else from remote-inbound reports", () => {
+  const fromPair = analyzeStats(
+    statsReport(outbound("audio", 0, 0), { type: "candidate-pair", selected: true, currentRoundTripTime: 0.12 }),
+    "peer",
+    null,
+    0
+  );
+  assert.equal(fromPair.rtt, 120);
+
+  const fromRemote = analyzeStats(
+    statsReport(outbound("audio", 0, 0), { type: "remote-inbound-rtp", mediaType: "audio", roundTripTime: 0.25 }),
+    "peer",
+    null,
+    0
+  );
+  assert.equal(fromRemote.rtt, 250);
+});
+
+test("sums incoming video across streams for downlink loss and bitrate", () => {
+  const previous = analyzeStats(statsReport(inbound("video", 0, 0), inbound("video", 0, 0)), "sfu", null, 0);
+  const metrics = analyzeStats(
+    statsReport(inbound("video", 150000, 450, 10), inbound("video", 75000, 450, 90)),
+    "sfu",
+    previous,
+    2000
+  );
+
+  assert.equal(metrics.inboundVideoPacketLoss, 10);
+  assert.equal(metrics.inboundVideoBitrate, 900000);
+});
@@ -0,0 +1,645 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const WebSocket = require("ws");
+const { RTCPeerConnection, MediaStreamTrack } = require("werift");
+const { MAX_MESSAGE_BYTES } = require("../signaling-schema");
+
+// Dropped connections hold their slot this long before the room hears they left
+process.env.RESUME_GRACE_MS = "200";
+// Small rooms so capacity tests stay short
+process.env.MAX_ROOM_SIZE = "3";
+process.env.MAX_ROOM_VIEWERS = "1";
+// Unanswered SFU offers are retried and given up on quickly
+process.env.SFU_ANSWER_TIMEOUT_MS = "200";
+const {
+  server,
+  users,
+  rooms,
+  roomSettings,
+  resumeTokens,
+  findUserByIdInRoom,
+  checkHeartbeats,
+  heartbeatStats,
+  loadIceSettings,
+  createTurnCredentials,
+  createIceConfiguration
+} = require("../server");
+
+let url;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `ws://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+// Each test gets its own room so leftovers from a failed test can't leak into the next
+let roomCounter = 0;
+let room;
+beforeEach(() => {
+  room = `test-room-${++roomCounter}`;
+});
+
+// In-process client that buffers messages so tests can await them by type
+async function connect() {
+  const ws = new WebSocket(url);
+  const inbox = [];
+  const waiters = [];
+
+  ws.on("message", (raw) => {
+    const message = JSON.parse(raw.toString());
+    const index = waiters.findIndex((waiter) => waiter.type === message.type);
+    if (index >= 0) {
+      waiters.splice(index, 1)[0].resolve(message);
+    } else {
+      inbox.push(message);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+
+  return {
+    ws,
+    send(message) {
+      ws.send(JSON.stringify(message));
+    },
+    next(type, timeoutMs = 2000) {
+      const index = inbox.findIndex((message) => message.type === type);
+      if (index >= 0) {
+        return Promise.resolve(inbox.splice(index, 1)[0]);
+      }
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${type}`)), timeoutMs);
+        waiters.push({ type, resolve: (message) => { clearTimeout(timer); resolve(message); } });
+      });
+    },
+    received(type) {
+      return inbox.some((message) => message.type === type);
+    },
+    async close() {
+      if (ws.readyState === WebSocket.CLOSED) return;
+      await new Promise((resolve) => {
+        ws.once("close", resolve);
+        ws.close();
+      });
+    }
+  };
+}
+
+async function join(name, options = {}) {
+  const client = await connect();
+  client.send({ type: "join-room", room, name, ...options });
+  client.joined = await client.next("room-joined");
+  client.id = client.joined.yourId;
+  return client;
+}
+
+// Let the server finish handling anything already sent
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+test("first joiner creates the room and becomes host", async () => {
+  const alice = await join("Alice");
+
+  assert.equal(alice.joined.ownerId, alice.id);
+  assert.deepEqual(alice.joined.users, []);
+  assert.equal(alice.joined.mode, "mesh");
+  assert.equal(rooms.get(room).size, 1);
+
+  await alice.close();
+});
+
+test("later joiners receive existing users and everyone else hears about them", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+
+  assert.deepEqual(bob.joined.users.map((user) => user.name), ["Alice"]);
+  assert.equal(bob.joined.ownerId, alice.id);
+
+  const joined = await alice.next("user-joined");
+  assert.equal(joined.userId, bob.id);
+  assert.equal(joined.name, "Bob");
+
+  const carol = await join("Carol");
+  assert.deepEqual(carol.joined.users.map((user) => user.name).sort(), ["Alice", "Bob"]);
+  assert.equal((await alice.next("user-joined")).userId, carol.id);
+  assert.equal((await bob.next("user-joined")).userId, carol.id);
+
+  await Promise.all([alice.close(), bob.close(), carol.close()]);
+});
+
+test("offer, answer and candidate are forwarded to the target with the sender's id", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+
+  alice.send({ type: "offer", targetId: bob.id, offer: { type: "offer", sdp: "v=0" } });
+  const offer = await bob.next("offer");
+  assert.equal(offer.fromId, alice.id);
+  assert.deepEqual(offer.offer, { type: "offer", sdp: "v=0" });
+
+  bob.send({ type: "answer", targetId: alice.id, answer: { type: "answer", sdp: "v=0" } });
+  assert.equal((await alice.next("answer")).fromId, bob.id);
+
+  alice.send({ type: "candidate", targetId: bob.id, candidate: { candidate: "candidate:1", sdpMid: "0" } });
+  const candidate = await bob.next("candidate");
+  assert.equal(candidate.fromId, alice.id);
+  assert.equal(candidate.candidate.candidate, "candidate:1");
+
+  await Promise.all([alice.close(), bob.close()]);
+});
+
+test("connection-failed notices reach the peer so it can reconnect", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+
+  bob.send({ type: "connection-failed", targetId: alice.id });
+  assert.equal((await alice.next("connection-failed")).fromId, bob.id);
+
+  await Promise.all([alice.close(), bob.close()]);
+});
+
+test("signaling is never forwarded outside the sender's room", async () => {
+  const alice = await join("Alice");
+  room = `${room}-other`;
+  const mallory = await join("Mallory");
+
+  mallory.send({ type: "offer", targetId: alice.id, offer: { type: "offer", sdp: "v=0" } });
+  await settle();
+  assert.equal(alice.received("offer"), false);
+
+  await Promise.all([alice.close(), mallory.close()]);
+});
+
+test("leaving notifies the room and hands ownership to the next participant", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+  const carol = await join("Carol");
+
+  alice.send({ type: "leave-room" });
+
+  assert.equal((await bob.next("user-left")).userId, alice.id);
+  assert.equal((await carol.next("user-left")).userId, alice.id);
+  assert.equal((await bob.next("owner-changed")).ownerId, bob.id);
+  assert.equal(roomSettings.get(room).ownerId, bob.id);
+  assert.equal(rooms.get(room).size, 2);
+
+  await Promise.all([alice.close(), bob.close(), carol.close()]);
+});
+
+test("disconnecting cleans up like leaving once the grace period ends, and the last one out removes the room", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+
+  await bob.close();
+  await settle();
+  assert.equal(alice.received("user-left"), false);
+  assert.ok(findUserByIdInRoom(room, bob.id));
+
+  assert.equal((await alice.next("user-left")).userId, bob.id);
+  assert.equal(findUserByIdInRoom(room, bob.id), null);
+
+  await alice.close();
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.equal(rooms.has(room), false);
+  assert.equal(roomSettings.has(room), false);
+});
+
+test("a dropped client resumes its slot with the same id and the room never sees it leave", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+  await alice.next("user-joined");
+
+  await bob.close();
+  const bobAgain = await connect();
+  bobAgain.send({ type: "resume", token: bob.joined.resumeToken });
+  const resumed = await bobAgain.next("resumed");
+
+  assert.equal(resumed.yourId, bob.id);
+  assert.deepEqual(resumed.users.map((user) => user.id), [alice.id]);
+  assert.notEqual(resumed.resumeToken, bob.joined.resumeToken);
+
+  // Signaling reaches the new socket, and the grace timer no longer fires
+  alice.send({ type: "offer", targetId: bob.id, offer: { type: "offer", sdp: "v=0" } });
+  assert.equal((await bobAgain.next("offer")).fromId, alice.id);
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.equal(alice.received("user-left"), false);
+  assert.equal(rooms.get(room).size, 2);
+
+  await Promise.all([alice.close(), bobAgain.close()]);
+});
+
+test("resume tokens work once and not after leaving", async () => {
+  const alice = await join("Alice");
+  const token = alice.joined.resumeToken;
+
+  alice.send({ type: "leave-room" });
+  await settle();
+
+  const stranger = await connect();
+  stranger.send({ type: "resume", token });
+  await stranger.next("resume-failed");
+  stranger.send({ type: "resume", token: "made-up" });
+  await stranger.next("resume-failed");
+
+  await Promise.all([alice.close(), stranger.close()]);
+});
+
+test("rejoining another room leaves the first one", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+  const firstRoom = room;
+
+  room = `${room}-second`;
+  bob.send({ type: "join-room", room, name: "Bob" });
+  await bob.next("room-joined");
+
+  assert.equal((await alice.next("user-left")).userId, bob.id);
+  assert.equal(rooms.get(firstRoom).size, 1);
+  assert.equal(rooms.get(room).size, 1);
+
+  await Promise.all([alice.close(), bob.close()]);
+});
+
+test("password-protected rooms refuse wrong passwords", async () => {
+  const alice = await join("Alice", { password: "hunter2" });
+
+  const eve = await connect();
+  eve.send({ type: "join-room", room, name: "Eve", password: "wrong" });
+  assert.equal((await eve.next("join-error")).code, "wrong-password");
+
+  const bob = await join("Bob", { password: "hunter2" });
+  assert.equal(bob.joined.hasPassword, true);
+
+  await Promise.all([alice.close(), eve.close(), bob.close()]);
+});
+
+test("a leave sent while the password is being checked cancels the join", async () => {
+  const alice = await join("Alice", { password: "hunter2" });
+
+  const bob = await connect();
+  bob.send({ type: "join-room", room, name: "Bob", password: "hunter2" });
+  bob.send({ type: "leave-room" });
+  await settle();
+  assert.equal(bob.received("room-joined"), false);
+  assert.equal(rooms.get(room).size, 1);
+
+  await Promise.all([alice.close(), bob.close()]);
+});
+
+test("findUserByIdInRoom finds sockets only in the given room", async () => {
+  const alice = await join("Alice");
+  const aliceWs = findUserByIdInRoom(room, alice.id);
+
+  assert.ok(aliceWs);
+  assert.equal(users.get(aliceWs).name, "Alice");
+  assert.equal(findUserByIdInRoom(room, "nobody"), null);
+  assert.equal(findUserByIdInRoom("no-such-room", alice.id), null);
+
+  await alice.close();
+});
+
+test("room-joined carries the ICE configuration", async () => {
+  const alice = await join("Alice");
+
+  const { iceServers, iceTransportPolicy } = alice.joined.iceConfiguration;
+  assert.equal(iceTransportPolicy, "all");
+  assert.ok(iceServers.length > 0);
+  assert.ok(iceServers.every((iceServer) => iceServer.urls.length > 0));
+
+  await alice.close();
+});
+
+test("TURN credentials are an HMAC of expiry:userId that coturn can verify", () => {
+  const now = Date.UTC(2026, 0, 1);
+  const { username, credential } = createTurnCredentials("user-1", "secret", 3600, now);
+
+  assert.equal(username, `${now / 1000 + 3600}:user-1`);
+  assert.equal(credential, crypto.createHmac("sha1", "secret").update(username).digest("base64"));
+  assert.notEqual(createTurnCredentials("user-2", "secret", 3600, now).credential, credential);
+});
+
+test("TURN servers are only offered with a secret, and relay mode is passed through", () => {
+  const settings = loadIceSettings({
+    STUN_URLS: "",
+    TURN_URLS: "turn:turn.example.com:3478, turns:turn.example.com:443?transport=tcp",
+    TURN_SECRET: "secret",
+    ICE_TRANSPORT_POLICY: "relay"
+  });
+  const configuration = createIceConfiguration("user-1", settings);
+
+  assert.equal(configuration.iceTransportPolicy, "relay");
+  assert.equal(configuration.iceServers.length, 1);
+  assert.deepEqual(configuration.iceServers[0].urls, ["turn:turn.example.com:3478", "turns:turn.example.com:443?transport=tcp"]);
+  assert.match(configuration.iceServers[0].username, /^\d+:user-1$/);
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const withoutSecret = loadIceSettings({ TURN_URLS: "turn:turn.example.com:3478" });
+    assert.deepEqual(createIceConfiguration("user-1", withoutSecret).iceServers.map((iceServer) => iceServer.urls[0]), [
+      "stun:stun.l.google.com:19302"
+    ]);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test("sockets that stop answering pings are reaped and leave the room at once", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+  const reaped = heartbeatStats.reaped;
+  const reapedInRoom = heartbeatStats.reapedInRoom;
+
+  // Bob's client went quiet a long time ago; Alice keeps answering
+  users.get(findUserByIdInRoom(room, bob.id)).lastPongAt = 0;
+  const bobClosed = new Promise((resolve) => bob.ws.once("close", resolve));
+  checkHeartbeats();
+
+  assert.equal((await alice.next("user-left")).userId, bob.id);
+  await bobClosed;
+  assert.equal(findUserByIdInRoom(room, bob.id), null);
+  assert.ok(findUserByIdInRoom(room, alice.id));
+  assert.equal(heartbeatStats.reaped, reaped + 1);
+  assert.equal(heartbeatStats.reapedInRoom, reapedInRoom + 1);
+
+  await alice.close();
+});
+
+test("responsive clients answer heartbeat pings", async () => {
+  const alice = await join("Alice");
+  const user = users.get(findUserByIdInRoom(room, alice.id));
+  const lastPongAt = user.lastPongAt;
+
+  await settle();
+  checkHeartbeats();
+  await settle();
+  assert.ok(user.lastPongAt > lastPongAt);
+
+  await alice.close();
+});
+
+test("invalid messages get an error reply and are not relayed", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+
+  alice.send({ type: "offer", targetId: bob.id, offer: { type: "offer", sdp: "v=0" }, smuggled: true });
+  assert.equal((await alice.next("error")).code, "invalid-message");
+  alice.send({ type: "no-such-type" });
+  assert.equal((await alice.next("error")).code, "unknown-type");
+
+  await settle();
+  assert.equal(bob.received("offer"), false);
+
+  await Promise.all([alice.close(), bob.close()]);
+});
+
+test("oversized frames close the socket instead of being buffered", async () => {
+  const mallory = await join("Mallory");
+  const closed = new Promise((resolve) => mallory.ws.once("close", (code) => resolve(code)));
+
+  mallory.ws.send("x".repeat(MAX_MESSAGE_BYTES + 1));
+  assert.equal(await closed, 1009);
+});
+
+test("repeat offenders are disconnected and leave their room", async () => {
+  const alice = await join("Alice");
+  const mallory = await join("Mallory");
+  const closed = new Promise((resolve) => mallory.ws.once("close", (code) => resolve(code)));
+
+  for (let i = 0; i < 10; i++) {
+    mallory.ws.send("not json");
+  }
+
+  assert.equal(await closed, 1008);
+  assert.equal((await alice.next("user-left")).userId, mallory.id);
+
+  await alice.close();
+});
+
+test("full rooms answer room-full and take overflow joiners as viewers", async () => {
+  const members = [await join("Alice"), await join("Bob"), await join("Carol")];
+
+  const dave = await connect();
+  dave.send({ type: "join-room", room, name: "Dave" });
+  const full = await dave.next("room-full");
+  assert.equal(full.maxSize, 3);
+  assert.equal(full.viewerSeats, true);
+
+  dave.send({ type: "join-room", room, name: "Dave", viewer: true });
+  const joined = await dave.next("room-joined");
+  assert.equal(joined.viewer, true);
+  assert.equal(joined.users.length, 3);
+  const announced = await members[2].next("user-joined");
+  assert.equal(announced.userId, joined.yourId);
+  assert.equal(announced.viewer, true);
+
+  // The only viewer seat is taken now
+  const erin = await connect();
+  erin.send({ type: "join-room", room, name: "Erin", viewer: true });
+  const viewersFull = await erin.next("room-full");
+  assert.equal(viewersFull.viewer, true);
+  assert.equal(viewersFull.viewerSeats, false);
+
+  await Promise.all([...members, dave, erin].map((client) => client.close()));
+});
+
+test("queued joiners get the next free seat in order", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+  const carol = await join("Carol");
+
+  const dave = await connect();
+  dave.send({ type: "join-room", room, name: "Dave", queue: true });
+  assert.equal((await dave.next("queued")).position, 1);
+  const erin = await connect();
+  erin.send({ type: "join-room", room, name: "Erin", queue: true });
+  assert.equal((await erin.next("queued")).position, 2);
+
+  bob.send({ type: "leave-room" });
+  const joined = await dave.next("room-joined");
+  assert.deepEqual(joined.users.map((user) => user.name).sort(), ["Alice", "Carol"]);
+  assert.equal((await erin.next("queued")).position, 1);
+
+  // Leaving the queue gives up the place
+  erin.send({ type: "leave-room" });
+  await settle();
+  assert.equal(roomSettings.get(room).queue.length, 0);
+
+  await Promise.all([alice.close(), bob.close(), carol.close(), dave.close(), erin.close()]);
+});
+
+test("viewers can't present or publish media to an SFU room", async () => {
+  const members = [await join("Alice", { mode: "sfu" }), await join("Bob"), await join("Carol")];
+  const dave = await connect();
+  dave.send({ type: "join-room", room, name: "Dave", viewer: true });
+  const joined = await dave.next("room-joined");
+  assert.equal(joined.viewer, true);
+
+  dave.send({ type: "screen-share", sharing: true });
+  await settle();
+  assert.equal(members[0].received("screen-share-changed"), false);
+  assert.equal(users.get(findUserByIdInRoom(room, joined.yourId)).screenSharing, false);
+
+  // Whatever the offer sends is answered inactive, so the server never receives it
+  const pc = new RTCPeerConnection({ iceServers: [] });
+  pc.addTransceiver("audio", { direction: "sendrecv" });
+  pc.addTransceiver("video", { direction: "sendrecv" });
+  await pc.setLocalDescription(await pc.createOffer());
+  dave.send({ type: "sfu-offer", offer: { type: "offer", sdp: pc.localDescription.sdp } });
+  const { answer } = await dave.next("sfu-answer", 10000);
+  assert.deepEqual(answer.sdp.match(/^a=(sendrecv|sendonly|recvonly|inactive)/gm), ["a=inactive", "a=inactive"]);
+
+  await pc.close();
+  await Promise.all([...members, dave].map((client) => client.close()));
+});
+
+test("an SFU client that never answers is offered again, then dropped", async () => {
+  const alice = await join("Alice", { mode: "sfu" });
+  const bob = await join("Bob");
+
+  // Bob is already connected, so Alice's track has to be offered to him
+  const bobPc = new RTCPeerConnection({ iceServers: [] });
+  bobPc.addTransceiver("audio", { direction: "recvonly" });
+  await bobPc.setLocalDescription(await bobPc.createOffer());
+  bob.send({ type: "sfu-offer", offer: { type: "offer", sdp: bobPc.localDescription.sdp } });
+  await bob.next("sfu-answer", 10000);
+
+  const alicePc = new RTCPeerConnection({ iceServers: [] });
+  alicePc.addTransceiver(new MediaStreamTrack({ kind: "audio" }), { direction: "sendonly" });
+  await alicePc.setLocalDescription(await alicePc.createOffer());
+  alice.send({ type: "sfu-offer", offer: { type: "offer", sdp: alicePc.localDescription.sdp } });
+  await alice.next("sfu-answer", 10000);
+
+  const first = await bob.next("sfu-offer", 10000);
+  const second = await bob.next("sfu-offer");
+  assert.notEqual(second.offer.sdp, first.offer.sdp);
+  const error = await bob.next("sfu-error");
+  assert.equal(error.closed, true);
+
+  await Promise.all([alicePc.close(), bobPc.close()]);
+  await Promise.all([alice.close(), bob.close()]);
+});
+
+test("the queue moves on when the host denies the queued user they were handed", async () => {
+  const alice = await join("Alice", { waitingRoom: true });
+  const members = [];
+  for (const name of ["Bob", "Carol"]) {
+    const client = await connect();
+    client.send({ type: "join-room", room, name });
+    await client.next("waiting-for-host");
+    const { user } = await alice.next("knock");
+    alice.send({ type: "admit-user", userId: user.id });
+    await client.next("room-joined");
+    members.push(client);
+  }
+
+  const dave = await connect();
+  dave.send({ type: "join-room", room, name: "Dave", queue: true });
+  await dave.next("queued");
+  const erin = await connect();
+  erin.send({ type: "join-room", room, name: "Erin", queue: true });
+  assert.equal((await erin.next("queued")).position, 2);
+
+  // Bob's seat goes to Dave, who still has to knock
+  members[0].send({ type: "leave-room" });
+  await dave.next("waiting-for-host");
+  const { user } = await alice.next("knock");
+  assert.equal(user.name, "Dave");
+
+  alice.send({ type: "deny-user", userId: user.id });
+  assert.equal((await dave.next("join-error")).code, "denied");
+  await erin.next("waiting-for-host");
+  assert.equal((await alice.next("knock")).user.name, "Erin");
+
+  await Promise.all([alice, ...members, dave, erin].map((client) => client.close()));
+});
+
+test("ownership passes over viewers to the longest-present participant", async () => {
+  const [alice, bob, carol] = [await join("Alice"), await join("Bob"), await join("Carol")];
+  const dave = await join("Dave", { viewer: true });
+  bob.send({ type: "leave-room" });
+  carol.send({ type: "leave-room" });
+  await settle();
+  const erin = await join("Erin");
+
+  alice.send({ type: "leave-room" });
+  assert.equal((await erin.next("owner-changed")).ownerId, erin.id);
+  assert.equal(roomSettings.get(room).ownerId, erin.id);
+
+  await Promise.all([alice, bob, carol, dave, erin].map((client) => client.close()));
+});
+
+test("ownership skips participants whose connection is held for a resume", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+  const carol = await join("Carol");
+
+  await bob.close();
+  await settle();
+  alice.send({ type: "leave-room" });
+  assert.equal((await carol.next("owner-changed")).ownerId, carol.id);
+  assert.equal(roomSettings.get(room).ownerId, carol.id);
+
+  await Promise.all([alice.close(), carol.close()]);
+});
+
+test("resuming from a queued socket gives up the place in line", async () => {
+  const members = [await join("Alice"), await join("Bob"), await join("Carol")];
+  const fullRoom = room;
+  room = `${fullRoom}-other`;
+  const dave = await join("Dave");
+
+  await dave.close();
+  const daveAgain = await connect();
+  daveAgain.send({ type: "join-room", room: fullRoom, name: "Dave", queue: true });
+  await daveAgain.next("queued");
+  daveAgain.send({ type: "resume", token: dave.joined.resumeToken });
+  await daveAgain.next("resumed");
+  assert.equal(roomSettings.get(fullRoom).queue.length, 0);
+
+  await Promise.all([...members, daveAgain].map((client) => client.close()));
+});
+
+test("ending the meeting drops everyone's resume tokens and held connections", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+  const carol = await join("Carol");
+
+  await bob.close();
+  await settle();
+  alice.send({ type: "end-meeting" });
+  await carol.next("meeting-ended");
+
+  assert.equal(rooms.has(room), false);
+  [alice, bob, carol].forEach((client) => assert.equal(resumeTokens.has(client.joined.resumeToken), false));
+  assert.equal(Array.from(users.values()).some((user) => user.id === bob.id), false);
+
+  await Promise.all([alice.close(), carol.close()]);
+});
+
+test("a presenter whose meeting was ended joins the next room not sharing", async () => {
+  const alice = await join("Alice");
+  const bob = await join("Bob");
+  bob.send({ type: "screen-share", sharing: true });
+  await alice.next("screen-share-changed");
+
+  alice.send({ type: "end-meeting" });
+  await bob.next("meeting-ended");
+  room = `${room}-next`;
+  const carol = await join("Carol");
+  bob.send({ type: "join-room", room, name: "Bob" });
+  await bob.next("room-joined");
+  const announced = await carol.next("user-joined");
+  assert.equal(announced.userId, bob.id);
+  assert.equal(users.get(findUserByIdInRoom(room, bob.id)).screenSharing, false);
+
+  await Promise.all([alice.close(), bob.close(), carol.close()]);
+});
@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_MESSAGE_BYTES,
+  RATE_LIMITS,
+  parseMessage,
+  createRateLimitState,
+  checkRateLimit,
+  recordViolation
+} = require("../signaling-schema");
+
+const parse = (message) => parseMessage(Buffer.from(typeof message === "string" ? message : JSON.stringify(message)));
+
+test("well-formed signaling messages pass", () => {
+  const messages = [
+    { type: "join-room", room: "standup", name: "Alice", color: "#1a73e8", password: "", waitingRoom: false, mode: "mesh" },
+    { type: "offer", targetId: "bob", offer: { type: "offer", sdp: "v=0" } },
+    { type: "candidate", targetId: "bob", candidate: { candidate: "candidate:1", sdpMid: "0", sdpMLineIndex: 0, usernameFragment: null } },
+    { type: "chat", targetId: "bob", message: { type: "chat-message", id: "m1", text: "hi", timestamp: 1, private: false } },
+    { type: "leave-room" }
+  ];
+
+  messages.forEach((message) => assert.deepEqual(parse(message), { data: message }));
+});
+
+test("malformed, unknown and oversized messages are rejected with a reason", () => {
+  assert.equal(parse("{not json").error.code, "invalid-json");
+  assert.equal(parse([1, 2]).error.code, "invalid-message");
+  assert.equal(parse({ type: "launch-missiles" }).error.code, "unknown-type");
+  assert.equal(parse({ type: "toString" }).error.code, "unknown-type");
+  assert.equal(parse("x".repeat(MAX_MESSAGE_BYTES + 1)).error.code, "message-too-large");
+
+  const cases = [
+    [{ type: "offer", offer: { type: "offer", sdp: "v=0" } }, /offer\.targetId is required/],
+    [{ type: "offer", targetId: "bob", offer: { type: "answer", sdp: "v=0" } }, /offer\.offer\.type must be one of offer/],
+    [{ type: "candidate", targetId: "bob", candidate: "candidate:1" }, /candidate\.candidate must be an object/],
+    [{ type: "lock-room", locked: "yes" }, /lock-room\.locked must be a boolean/],
+    [{ type: "answer", targetId: "bob", answer: { type: "answer", sdp: "v=0" }, extra: 1 }, /unexpected field answer\.extra/],
+    [{ type: "join-room", name: "x".repeat(201) }, /join-room\.name is longer than 200/]
+  ];
+  cases.forEach(([message, reason]) => {
+    const { error } = parse(message);
+    assert.equal(error.code, "invalid-message");
+    assert.match(error.message, reason);
+  });
+});
+
+test("message bursts are allowed up to the bucket size, then refill over time", () => {
+  const state = createRateLimitState(0);
+  for (let i = 0; i < RATE_LIMITS.messageBurst; i++) {
+    assert.equal(checkRateLimit(state, "candidate", 0), null);
+  }
+  assert.equal(checkRateLimit(state, "candidate", 0).code, "rate-limited");
+
+  // One second later a second's worth of messages is available again
+  for (let i = 0; i < RATE_LIMITS.messagesPerSecond; i++) {
+    assert.equal(checkRateLimit(state, "candidate", 1000), null);
+  }
+  assert.equal(checkRateLimit(state, "candidate", 1000).code, "rate-limited");
+});
+
+test("joins are limited per minute", () => {
+  const state = createRateLimitState(0);
+  for (let i = 0; i < RATE_LIMITS.joinsPerMinute; i++) {
+    assert.equal(checkRateLimit(state, "join-room", i * 1000), null);
+  }
+  assert.match(checkRateLimit(state, "resume", 30000).message, /joins/);
+  assert.equal(checkRateLimit(state, "join-room", 61000), null);
+});
+
+test("repeat offenders are flagged once violations pile up within the window", () => {
+  const state = createRateLimitState(0);
+  for (let i = 1; i < RATE_LIMITS.maxViolations; i++) {
+    assert.equal(recordViolation(state, i), false);
+  }
+  assert.equal(recordViolation(state, RATE_LIMITS.maxViolations), true);
+
+  // Old violations age out
+  const spaced = createRateLimitState(0);
+  for (let i = 0; i < RATE_LIMITS.maxViolations * 2; i++) {
+    assert.equal(recordViolation(spaced, i * RATE_LIMITS.violationWindowMs), false);
+  }
+});